@@ -0,0 +1,323 @@
+/**
+ * NetCepter Pro - Authentication UI
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Auth challenge entries in the request list (sign in, cancel or leave it to the
+ * browser) and the editor for stored credentials, kept in chrome.storage.session unless
+ * marked to persist.
+ * Uses the panel's `requests` map, `selectedRequestId`, `port` and list helpers.
+ * Requires auth.js and modal.js.
+ */
+
+const AUTH_ANSWERS = {
+  ProvideCredentials: 'Signed in',
+  CancelAuth: 'Cancelled, the page gets the 401/407 response',
+  Default: 'Left to the browser'
+};
+
+let authRulesCache = [];
+
+// Add a paused auth challenge to the list
+function handleAuthRequired(data) {
+  const existing = requests.get(data.requestId);
+  if (existing && existing.isPaused) return;
+
+  const request = {
+    id: data.requestId,
+    type: 'auth',
+    tabId: data.tabId,
+    sessionId: data.sessionId,
+    source: data.source,
+    url: data.url,
+    method: data.method,
+    headers: data.headers,
+    resourceType: data.resourceType || 'other',
+    timestamp: data.timestamp,
+    status: 'paused',
+    isPaused: true,
+    authChallenge: data.challenge,
+    rejectedCredentials: data.rejectedCredentials
+  };
+
+  requests.set(request.id, request);
+  if (existing) {
+    updateRequestInList(request);
+  } else {
+    addRequestToList(request);
+  }
+  updateRequestCount();
+}
+
+// Add an auth challenge the background worker answered with stored credentials
+function handleAuthHandled(data) {
+  const request = {
+    id: data.requestId,
+    type: 'auth',
+    tabId: data.tabId,
+    sessionId: data.sessionId,
+    source: data.source,
+    url: data.url,
+    method: data.method,
+    headers: data.headers,
+    resourceType: data.resourceType || 'other',
+    timestamp: data.timestamp,
+    status: 'authenticated',
+    isPaused: false,
+    authChallenge: data.challenge,
+    authAnswer: `Signed in as ${data.username} with the stored credentials for ${data.origin}`
+  };
+
+  requests.set(request.id, request);
+  addRequestToList(request);
+  updateRequestCount();
+}
+
+// Render the details of an auth challenge entry
+function displayAuthDetails(request) {
+  const detailsContent = document.getElementById('details-content');
+  const challenge = request.authChallenge;
+  let html = '';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Authentication Challenge</div>';
+  html += `<div class="detail-note">${escapeHtml(describeAuthChallenge(challenge))}</div>`;
+  if (request.rejectedCredentials) {
+    html += '<div class="detail-note error-note">The stored credentials for this origin were rejected</div>';
+  }
+  if (request.authAnswer) {
+    html += `<div class="detail-note">${escapeHtml(request.authAnswer)}</div>`;
+  }
+  html += '</div>';
+
+  if (request.source) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Source</div>';
+    html += `<div class="detail-note">${escapeHtml(request.source)}</div>`;
+    html += '</div>';
+  }
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>URL</label>';
+  html += `<input type="text" value="${escapeHtml(request.url)}" disabled></div>`;
+  html += '<div class="detail-field"><label>Method</label>';
+  html += `<input type="text" value="${escapeHtml(request.method)}" disabled></div>`;
+  html += '</div>';
+
+  if (request.isPaused) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-field"><label>Username</label>';
+    html += '<input type="text" id="auth-username" autocomplete="off"></div>';
+    html += '<div class="detail-field"><label>Password</label>';
+    html += '<input type="password" id="auth-password" autocomplete="off"></div>';
+    html += '<label class="checkbox-label"><input type="checkbox" id="auth-remember">';
+    html += ` Remember for ${escapeHtml(challenge.origin)} until the browser closes</label>`;
+    html += '</div>';
+
+    html += '<div class="form-actions">';
+    html += '<button class="btn btn-secondary" id="auth-default-btn" title="Let the browser handle the challenge (its own sign-in prompt or cached credentials)">Use Browser Default</button>';
+    html += '<button class="btn btn-danger" id="auth-cancel-btn" title="Don\'t sign in, the page gets the 401/407 response">Cancel</button>';
+    html += '<button class="btn btn-success" id="auth-sign-in-btn">Sign In</button>';
+    html += '</div>';
+  }
+
+  detailsContent.innerHTML = html;
+  document.getElementById('action-buttons').style.display = 'none';
+
+  if (!request.isPaused) return;
+
+  document.getElementById('auth-default-btn').addEventListener('click', () => {
+    answerAuthChallenge(request, 'Default');
+  });
+  document.getElementById('auth-cancel-btn').addEventListener('click', () => {
+    answerAuthChallenge(request, 'CancelAuth');
+  });
+  document.getElementById('auth-sign-in-btn').addEventListener('click', () => {
+    const username = document.getElementById('auth-username').value;
+    if (!username) {
+      showNotification('Enter a username to sign in', 'error');
+      return;
+    }
+    answerAuthChallenge(request, 'ProvideCredentials', {
+      username: username,
+      password: document.getElementById('auth-password').value
+    }, document.getElementById('auth-remember').checked);
+  });
+}
+
+// Answer a paused auth challenge, optionally remembering the credentials for its origin
+function answerAuthChallenge(request, response, credentials, remember) {
+  port.postMessage({
+    type: 'CONTINUE_WITH_AUTH',
+    tabId: request.tabId,
+    requestId: request.id,
+    response: response,
+    credentials: credentials
+  });
+
+  if (remember) {
+    saveAuthCredentials(request.authChallenge, credentials);
+  }
+
+  request.isPaused = false;
+  request.status = response === 'ProvideCredentials' ? 'authenticated' : response === 'CancelAuth' ? 'blocked' : 'completed';
+  request.authAnswer = response === 'ProvideCredentials'
+    ? `Signed in as ${credentials.username}`
+    : AUTH_ANSWERS[response];
+  updateRequestInList(request);
+  displayAuthDetails(request);
+}
+
+// Store credentials for the origin of a challenge, replacing an existing rule for it
+// New rules only last for the browser session, an existing rule keeps its choice
+function saveAuthCredentials(challenge, credentials) {
+  loadAuthRules().then((authRules) => {
+    const rule = authRules.find(r => r.origin === challenge.origin && r.source === challenge.source);
+    if (rule) {
+      Object.assign(rule, credentials, { enabled: true });
+    } else {
+      authRules.push({ ...createEmptyAuthRule(), origin: challenge.origin, source: challenge.source, ...credentials });
+    }
+    storeAuthRules(authRules);
+  });
+}
+
+// Open the stored credentials editor
+function openAuthRulesEditor() {
+  loadAuthRules().then((authRules) => {
+    authRulesCache = authRules;
+    openModal('Stored Credentials', '<div id="auth-rules-view"></div>');
+    renderAuthRulesList();
+  });
+}
+
+// Persist credential rules to storage
+function saveAuthRules() {
+  storeAuthRules(authRulesCache);
+}
+
+// Render the list of credential rules
+function renderAuthRulesList() {
+  const view = document.getElementById('auth-rules-view');
+  if (!view) return;
+
+  let html = '<div class="modal-toolbar">';
+  html += '<button class="btn btn-primary" id="new-auth-rule-btn">+ New Credentials</button>';
+  html += '</div>';
+
+  if (authRulesCache.length === 0) {
+    html += `
+      <div class="empty-state">
+        <p>No stored credentials</p>
+        <small>Stored credentials answer authentication challenges of their origin without pausing</small>
+      </div>
+    `;
+  } else {
+    html += '<p class="modal-text">Credentials are forgotten when the browser closes, unless kept on disk. Passwords kept on disk are stored unencrypted in the extension\'s local storage.</p>';
+    html += '<div class="library-list">';
+    authRulesCache.forEach((rule, index) => {
+      html += `
+        <div class="library-item" data-index="${index}">
+          <label class="toggle-switch" title="Enable/Disable Credentials">
+            <input type="checkbox" class="auth-rule-enabled" ${rule.enabled ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <div class="library-item-info">
+            <div class="library-item-title">${escapeHtml(rule.origin)} <span class="badge">${escapeHtml(AUTH_SOURCES[rule.source] || rule.source)}</span></div>
+            <div class="library-item-meta">${escapeHtml(rule.username)}${rule.persist ? ' · kept on disk' : ''}</div>
+          </div>
+          <div class="library-item-actions">
+            <button class="btn btn-secondary auth-rule-edit">Edit</button>
+            <button class="btn btn-text auth-rule-delete" title="Delete credentials">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+  }
+
+  view.innerHTML = html;
+
+  document.getElementById('new-auth-rule-btn').addEventListener('click', () => {
+    renderAuthRuleForm(createEmptyAuthRule(), -1);
+  });
+
+  view.querySelectorAll('.library-item').forEach(item => {
+    const index = parseInt(item.dataset.index);
+
+    item.querySelector('.auth-rule-enabled').addEventListener('change', (e) => {
+      authRulesCache[index].enabled = e.target.checked;
+      saveAuthRules();
+    });
+
+    item.querySelector('.auth-rule-edit').addEventListener('click', () => {
+      renderAuthRuleForm({ ...authRulesCache[index] }, index);
+    });
+
+    item.querySelector('.auth-rule-delete').addEventListener('click', () => {
+      authRulesCache.splice(index, 1);
+      saveAuthRules();
+      renderAuthRulesList();
+    });
+  });
+}
+
+// Render the create/edit form for a credential rule (index -1 for a new one)
+function renderAuthRuleForm(rule, index) {
+  const view = document.getElementById('auth-rules-view');
+  if (!view) return;
+
+  let html = '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Origin (exact, or a glob like https://*.example.com)</label>';
+  html += `<input type="text" id="auth-rule-origin" value="${escapeHtml(rule.origin)}" placeholder="https://intranet.example.com"></div>`;
+  html += '<div class="detail-field"><label>Answer Challenges From</label><select id="auth-rule-source">';
+  Object.entries(AUTH_SOURCES).forEach(([value, label]) => {
+    html += `<option value="${value}" ${rule.source === value ? 'selected' : ''}>${label}</option>`;
+  });
+  html += '</select></div>';
+  html += '<div class="detail-field"><label>Username</label>';
+  html += `<input type="text" id="auth-rule-username" value="${escapeHtml(rule.username)}" autocomplete="off"></div>`;
+  html += '<div class="detail-field"><label>Password</label>';
+  html += `<input type="password" id="auth-rule-password" value="${escapeHtml(rule.password)}" autocomplete="off"></div>`;
+  html += `<label class="checkbox-label"><input type="checkbox" id="auth-rule-persist" ${rule.persist ? 'checked' : ''}>`;
+  html += ' Keep after the browser closes (the password is stored unencrypted on disk)</label>';
+  html += '</div>';
+
+  html += '<div class="form-actions">';
+  html += '<button class="btn btn-secondary" id="auth-rule-cancel-btn">Cancel</button>';
+  html += '<button class="btn btn-success" id="auth-rule-save-btn">Save Credentials</button>';
+  html += '</div>';
+
+  view.innerHTML = html;
+
+  document.getElementById('auth-rule-cancel-btn').addEventListener('click', renderAuthRulesList);
+
+  document.getElementById('auth-rule-save-btn').addEventListener('click', () => {
+    const updated = {
+      ...rule,
+      origin: document.getElementById('auth-rule-origin').value.trim(),
+      source: document.getElementById('auth-rule-source').value,
+      username: document.getElementById('auth-rule-username').value,
+      password: document.getElementById('auth-rule-password').value,
+      persist: document.getElementById('auth-rule-persist').checked
+    };
+
+    if (!updated.origin || !updated.username) {
+      showNotification('Credentials need an origin and a username', 'error');
+      return;
+    }
+
+    if (index === -1) {
+      authRulesCache.push(updated);
+    } else {
+      authRulesCache[index] = updated;
+    }
+    saveAuthRules();
+    renderAuthRulesList();
+  });
+}
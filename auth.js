@@ -0,0 +1,78 @@
+/**
+ * NetCepter Pro - Authentication
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Stored credentials that answer HTTP authentication challenges (basic, digest,
+ * NTLM, proxy) per origin without asking. Credentials are kept in chrome.storage.session
+ * and only written to disk (chrome.storage.local) for rules marked to persist.
+ * Loaded by background.js (importScripts) and by the panel pages. Requires rules.js.
+ */
+
+// Who a credential rule answers (challenge sources as reported by Fetch.authRequired)
+const AUTH_SOURCES = {
+  any: 'Server or proxy',
+  Server: 'Server',
+  Proxy: 'Proxy'
+};
+
+// Create an empty credential rule with default values
+function createEmptyAuthRule() {
+  return {
+    id: 'auth-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+    enabled: true,
+    origin: '',
+    source: 'any',
+    username: '',
+    password: '',
+    persist: false
+  };
+}
+
+// Load credential rules, in list order
+// The session copy holds all rules; after a browser restart only the persisted ones are left
+function loadAuthRules() {
+  return Promise.all([chrome.storage.session.get('authRules'), chrome.storage.local.get('authRules')])
+    .then(([session, local]) => {
+      if (session.authRules) {
+        return session.authRules;
+      }
+      // Rules saved before persisting was a choice were all on disk, keep them there
+      return (local.authRules || []).map(rule => ({ ...rule, persist: rule.persist !== false }));
+    });
+}
+
+// Store credential rules, only the ones marked to persist go to disk
+function storeAuthRules(authRules) {
+  return Promise.all([
+    chrome.storage.session.set({ authRules }),
+    chrome.storage.local.set({ authRules: authRules.filter(rule => rule.persist) })
+  ]);
+}
+
+// Check an origin against a credential rule's origin (exact, or a glob with *)
+function matchesAuthOrigin(pattern, origin) {
+  const normalize = (value) => String(value || '').trim().replace(/\/+$/, '').toLowerCase();
+  if (!pattern) {
+    return false;
+  }
+  return pattern.includes('*')
+    ? matchesUrlPattern(normalize(origin), normalize(pattern), 'glob')
+    : normalize(origin) === normalize(pattern);
+}
+
+// Find the enabled credential rule for an auth challenge ({ source, origin, scheme, realm })
+function findAuthRule(authRules, challenge) {
+  return (authRules || []).find(rule => {
+    return rule.enabled
+      && (rule.source === 'any' || rule.source === challenge.source)
+      && matchesAuthOrigin(rule.origin, challenge.origin);
+  });
+}
+
+// Short human-readable summary of an auth challenge
+function describeAuthChallenge(challenge) {
+  const from = challenge.source === 'Proxy' ? 'proxy' : 'server';
+  const realm = challenge.realm ? ` (realm "${challenge.realm}")` : '';
+  return `${challenge.scheme || 'Unknown'} challenge from ${from} ${challenge.origin}${realm}`;
+}
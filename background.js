@@ -6,9 +6,196 @@
  * Uses Chrome Debugger API to intercept network requests and responses
  */
 
-const attachedTabs = new Map(); // Track debugger attachments
-const pendingRequests = new Map(); // Store paused requests
-const requestData = new Map(); // Store request information
+importScripts('encoding.js', 'faults.js', 'rules.js', 'auth.js', 'mocks.js', 'breakpoints.js');
+
+// Track debugger attachments; each tab keeps its own paused requests and network
+// lifecycles, so detaching one tab never touches the others
+const attachedTabs = new Map();
+
+// Auto-modification rules, mock responses, breakpoints, the global pause timeout,
+// the network throttling preset, stored credentials and whether headers are fixed up
+// for modified bodies, kept in sync with chrome.storage
+let rules = [];
+let mocks = [];
+let breakpoints = [];
+let pauseTimeout = createDefaultPauseTimeout();
+let networkPreset = 'none';
+let authRules = [];
+let fixHeadersEnabled = true;
+const storageLoaded = Promise.all([
+  chrome.storage.local.get(['rules', 'mocks', 'breakpoints', 'pauseTimeout', 'networkPreset', 'fixHeadersEnabled']),
+  loadAuthRules()
+]).then(([result, storedAuthRules]) => {
+  rules = result.rules || [];
+  mocks = result.mocks || [];
+  authRules = storedAuthRules;
+  breakpoints = result.breakpoints || [];
+  pauseTimeout = result.pauseTimeout || createDefaultPauseTimeout();
+  networkPreset = result.networkPreset || 'none';
+  fixHeadersEnabled = result.fixHeadersEnabled !== false;
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Credentials are kept in session storage, its copy holds all of them
+  if (areaName === 'session' && changes.authRules) {
+    authRules = changes.authRules.newValue || [];
+    attachedTabs.forEach((tabData, tabId) => updateFetchPatterns(tabId));
+    return;
+  }
+  if (areaName !== 'local') {
+    return;
+  }
+  if (changes.rules) {
+    rules = changes.rules.newValue || [];
+  }
+  if (changes.mocks) {
+    mocks = changes.mocks.newValue || [];
+  }
+  if (changes.breakpoints) {
+    breakpoints = changes.breakpoints.newValue || [];
+  }
+  if (changes.pauseTimeout) {
+    pauseTimeout = changes.pauseTimeout.newValue || createDefaultPauseTimeout();
+  }
+  if (changes.fixHeadersEnabled) {
+    fixHeadersEnabled = changes.fixHeadersEnabled.newValue !== false;
+  }
+  if (changes.networkPreset) {
+    networkPreset = changes.networkPreset.newValue || 'none';
+    attachedTabs.forEach((tabData, tabId) => {
+      applyNetworkConditions(tabData.target);
+      tabData.sessions.forEach((session, sessionId) => applyNetworkConditions({ tabId, sessionId }));
+    });
+  }
+  if (changes.rules || changes.mocks || changes.breakpoints) {
+    // Rules and mocks may need traffic that isn't paused for the panel, breakpoints
+    // narrow down what is paused
+    attachedTabs.forEach((tabData, tabId) => updateFetchPatterns(tabId));
+  }
+});
+
+// Chrome may suspend this service worker at any time, dropping every port and everything
+// in memory. The debugger keeps paused requests paused meanwhile, so attached tabs, their
+// settings and the requests paused for the panel are saved in chrome.storage.session and
+// picked up again on restart
+const PANEL_RECONNECT_GRACE_MS = 15000; // How long paused requests wait for a panel to (re)connect
+let sessionSaveTimer = null;
+const sessionRestored = restoreSession();
+
+// Re-establish attachments, interception settings and paused requests after a restart
+async function restoreSession() {
+  let saved;
+  try {
+    saved = (await chrome.storage.session.get('session')).session;
+  } catch (error) {
+    console.error('Failed to read session state:', error);
+    return;
+  }
+  
+  if (!saved || !saved.tabs || saved.tabs.length === 0) {
+    return;
+  }
+  
+  await storageLoaded;
+  const harReplays = await chrome.storage.session.get(saved.tabs.map(tab => harReplayStorageKey(tab.tabId)));
+  
+  for (const tab of saved.tabs) {
+    const target = { tabId: tab.tabId };
+    const stillAttached = await isDebuggerAttached(target);
+    
+    try {
+      if (!stillAttached) {
+        await chrome.debugger.attach(target, '1.3');
+        await chrome.debugger.sendCommand(target, 'Network.enable');
+        await applyNetworkConditions(target);
+      }
+    } catch (error) {
+      // Tab closed, or taken by another debugger while the worker was away
+      continue;
+    }
+    
+    attachedTabs.set(tab.tabId, {
+      port: null,
+      target,
+      interception: tab.interception,
+      replay: { pending: [], networkIds: new Set() },
+      // Requests paused before a fresh attach went away with the old debugger session
+      pendingRequests: new Map(stillAttached ? tab.pendingRequests : []),
+      requestData: new Map(),
+      harReplay: buildHarReplay(harReplays[harReplayStorageKey(tab.tabId)]),
+      autoAttach: tab.autoAttach,
+      openerTabId: tab.openerTabId,
+      sessions: new Map(stillAttached ? tab.sessions : []),
+      authAnswered: new Set()
+    });
+    
+    // Timers didn't survive the restart
+    attachedTabs.get(tab.tabId).pendingRequests.forEach((pending, requestId) => {
+      if (pending.timeout) {
+        schedulePauseTimeout(tab.tabId, requestId, pending.timeout.at);
+      }
+    });
+    
+    await updateFetchPatterns(tab.tabId);
+    if (tab.autoAttach && !stillAttached) {
+      try {
+        await setTargetAutoAttach(target, true);
+      } catch (error) {
+        console.error('Failed to restore auto-attach:', error);
+      }
+    }
+    scheduleOrphanRelease(tab.tabId);
+  }
+  
+  persistSession();
+}
+
+// Save the session state, coalescing bursts of changes into one write
+function persistSession() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(() => {
+    const tabs = [];
+    attachedTabs.forEach((tabData, tabId) => {
+      tabs.push({
+        tabId: tabId,
+        interception: tabData.interception,
+        autoAttach: tabData.autoAttach,
+        openerTabId: tabData.openerTabId,
+        sessions: Array.from(tabData.sessions),
+        // Only requests paused for the panel, the others resolve on their own within moments
+        pendingRequests: Array.from(tabData.pendingRequests).filter(([, pending]) => pending.message)
+      });
+    });
+    
+    chrome.storage.session.set({ session: { tabs } }).catch((error) => {
+      console.error('Failed to save session state:', error);
+    });
+  }, 100);
+}
+
+// Continue the paused requests of a tab when no panel has connected to it within the
+// grace period, and stop pausing its traffic until one does
+function scheduleOrphanRelease(tabId) {
+  setTimeout(() => {
+    const tabData = attachedTabs.get(tabId);
+    if (tabData && !tabData.port) {
+      tabData.orphaned = true;
+      releasePausedRequests(tabId, 'continued');
+    }
+  }, PANEL_RECONNECT_GRACE_MS);
+}
+
+// Check whether this extension's debugger is still attached to a target
+// getTargets() reports DevTools and other extensions as attached too, only our own
+// session accepts commands
+async function isDebuggerAttached(target) {
+  try {
+    await chrome.debugger.sendCommand(target, 'Runtime.evaluate', { expression: '1' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
 // Helper function to safely send messages through port
 function safePostMessage(port, message) {
@@ -17,253 +204,1424 @@ function safePostMessage(port, message) {
   }
   
   try {
-    port.postMessage(message);
-    return true;
+    port.postMessage(message);
+    return true;
+  } catch (error) {
+    if (error.message && error.message.includes('disconnected')) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Listen for messages from DevTools panel
+chrome.runtime.onConnect.addListener((port) => {
+  port.onMessage.addListener(async (msg) => {
+    await sessionRestored;
+    
+    switch (msg.type) {
+      case 'ATTACH_DEBUGGER':
+        await attachDebugger(msg.tabId, port);
+        break;
+        
+      case 'DETACH_DEBUGGER':
+        await detachDebugger(msg.tabId);
+        break;
+        
+      case 'SET_INTERCEPTION':
+        await setInterception(msg.tabId, msg.enabled, msg.filters, msg.autoAttach);
+        break;
+        
+      case 'SET_HAR_REPLAY':
+        await setHarReplay(msg.tabId, msg.entries);
+        break;
+        
+      case 'CONTINUE_REQUEST':
+        continueRequest(msg.tabId, msg.requestId, msg.modifications);
+        break;
+        
+      case 'CONTINUE_RESPONSE':
+        continueResponse(msg.tabId, msg.requestId, msg.modifications);
+        break;
+        
+      case 'BLOCK_REQUEST':
+        blockRequest(msg.tabId, msg.requestId, msg.errorReason);
+        break;
+        
+      case 'SEND_ERROR_RESPONSE':
+        sendErrorResponse(msg.tabId, msg.requestId, msg.response);
+        break;
+        
+      case 'CONTINUE_WITH_AUTH':
+        answerAuthChallenge(msg.tabId, msg.requestId, msg.response, msg.credentials);
+        break;
+        
+      case 'BULK_ACTION':
+        await handleBulkAction(msg.action, msg.requests);
+        break;
+        
+      case 'GET_RESPONSE_BODY':
+        await getResponseBody(msg.tabId, msg.requestId, port, msg.networkId, msg.sessionId);
+        break;
+        
+      case 'REPLAY_REQUEST':
+        await replayRequest(msg, port);
+        break;
+    }
+  });
+  
+  port.onDisconnect.addListener(() => {
+    // Hold the paused requests of the panel's tabs in case it reconnects
+    attachedTabs.forEach((tabData, tabId) => {
+      if (tabData.port === port) {
+        tabData.port = null;
+        scheduleOrphanRelease(tabId);
+      }
+    });
+  });
+});
+
+// Attach debugger to a tab
+// Tabs opened by an attached tab (openerTabId) inherit its settings and panel connection
+async function attachDebugger(tabId, port, openerTabId) {
+  try {
+    const target = { tabId: tabId };
+    
+    // Check if already attached
+    if (attachedTabs.has(tabId)) {
+      // Route events to the newest panel connection
+      const tabData = attachedTabs.get(tabId);
+      tabData.port = port;
+      tabData.orphaned = false;
+      try {
+        port.postMessage({ type: 'DEBUGGER_ATTACHED', tabId, openerTabId: tabData.openerTabId });
+      } catch (e) {
+        // Port disconnected, clean up
+        attachedTabs.delete(tabId);
+        return;
+      }
+      
+      // Let a reconnecting panel rebuild its list of paused requests
+      safePostMessage(port, {
+        type: 'SESSION_STATE',
+        tabId: tabId,
+        paused: Array.from(tabData.pendingRequests.values())
+          .filter(pending => pending.message)
+          .map(pending => pending.message)
+      });
+      
+      // Tabs that followed this one report to the same panel
+      attachedTabs.forEach((data, childTabId) => {
+        if (data.openerTabId === tabId) {
+          attachDebugger(childTabId, port, tabId);
+        }
+      });
+      return;
+    }
+    
+    await chrome.debugger.attach(target, '1.3');
+    
+    // Enable Network domain
+    await chrome.debugger.sendCommand(target, 'Network.enable');
+    await storageLoaded;
+    await applyNetworkConditions(target);
+    
+    const opener = openerTabId !== undefined ? attachedTabs.get(openerTabId) : undefined;
+    attachedTabs.set(tabId, {
+      port,
+      target,
+      interception: opener
+        ? { ...opener.interception }
+        : { enabled: true, filters: { url: '', method: '', type: '' } },
+      replay: { pending: [], networkIds: new Set() },
+      pendingRequests: new Map(), // Paused requests by Fetch request ID
+      requestData: new Map(), // Network lifecycle of in-flight requests by network ID
+      autoAttach: opener ? opener.autoAttach : false,
+      openerTabId: openerTabId,
+      sessions: new Map(), // Auto-attached frames and workers by session ID
+      authAnswered: new Set() // Requests whose auth challenge got stored credentials
+    });
+    
+    // Enable Fetch domain for request interception
+    await storageLoaded;
+    await chrome.debugger.sendCommand(target, 'Fetch.enable', {
+      patterns: buildFetchPatterns(attachedTabs.get(tabId)),
+      handleAuthRequests: true
+    });
+    
+    if (attachedTabs.get(tabId).autoAttach) {
+      await setTargetAutoAttach(target, true);
+    }
+    persistSession();
+    
+    try {
+      port.postMessage({ type: 'DEBUGGER_ATTACHED', tabId, openerTabId });
+    } catch (e) {
+      // Port disconnected during attachment, clean up
+      if (e.message && e.message.includes('disconnected')) {
+        attachedTabs.delete(tabId);
+        await chrome.debugger.detach(target);
+      }
+    }
+    
+  } catch (error) {
+    console.error('Failed to attach debugger:', error);
+    attachedTabs.delete(tabId);
+    try {
+      port.postMessage({ type: 'DEBUGGER_ERROR', tabId, error: error.message });
+    } catch (e) {
+      // Port disconnected, can't send error
+    }
+  }
+}
+
+// Detach debugger from a tab
+async function detachDebugger(tabId) {
+  try {
+    if (!attachedTabs.has(tabId)) {
+      return;
+    }
+    
+    // Tabs that followed this one go with it
+    attachedTabs.forEach((data, childTabId) => {
+      if (data.openerTabId === tabId) {
+        safePostMessage(data.port, { type: 'DEBUGGER_DETACHED', tabId: childTabId, reason: 'opener_detached' });
+        detachDebugger(childTabId);
+      }
+    });
+    
+    // Nothing may stay paused once the debugger is gone
+    await releasePausedRequests(tabId, 'continued');
+    
+    const target = { tabId: tabId };
+    await chrome.debugger.detach(target);
+    attachedTabs.delete(tabId);
+    persistSession();
+    chrome.storage.session.remove(harReplayStorageKey(tabId));
+  } catch (error) {
+    console.error('Failed to detach debugger:', error);
+  }
+}
+
+// Update interception settings for a tab
+async function setInterception(tabId, enabled, filters, autoAttach) {
+  const tabData = attachedTabs.get(tabId);
+  if (!tabData) {
+    return;
+  }
+  
+  tabData.interception = {
+    enabled: enabled,
+    filters: { url: '', method: '', type: '', ...filters }
+  };
+  
+  await updateFetchPatterns(tabId);
+  
+  if (autoAttach !== undefined && Boolean(autoAttach) !== tabData.autoAttach) {
+    tabData.autoAttach = Boolean(autoAttach);
+    await updateAutoAttach(tabId);
+  }
+  persistSession();
+}
+
+// Start or stop following the frames and workers of a tab
+// Popups and new tabs are followed through chrome.tabs.onCreated
+async function updateAutoAttach(tabId) {
+  const tabData = attachedTabs.get(tabId);
+  if (!tabData) {
+    return;
+  }
+  
+  try {
+    await setTargetAutoAttach(tabData.target, tabData.autoAttach);
+  } catch (error) {
+    console.error('Failed to update auto-attach:', error);
+  }
+  
+  if (!tabData.autoAttach) {
+    // Let go of the frames and workers attached so far
+    for (const sessionId of Array.from(tabData.sessions.keys())) {
+      try {
+        await chrome.debugger.sendCommand(tabData.target, 'Target.detachFromTarget', { sessionId });
+      } catch (error) {
+        // Already gone, or nested in a frame that was detached first
+      }
+    }
+  }
+}
+
+// Auto-attach to the out-of-process frames and dedicated workers of a target
+// They wait for the debugger on start, so their first requests are intercepted too;
+// flatten gives each one a session ID on the tab's connection
+async function setTargetAutoAttach(target, enabled) {
+  await chrome.debugger.sendCommand(target, 'Target.setAutoAttach', {
+    autoAttach: enabled,
+    waitForDebuggerOnStart: enabled,
+    flatten: true
+  });
+}
+
+// Set up an auto-attached frame or worker like the tab itself, then let it run
+async function handleTargetAttached(tabId, params) {
+  const tabData = attachedTabs.get(tabId);
+  const { sessionId, targetInfo } = params;
+  const target = { tabId, sessionId };
+  
+  if (tabData && ['iframe', 'worker'].includes(targetInfo.type)) {
+    tabData.sessions.set(sessionId, { type: targetInfo.type, label: describeTarget(targetInfo) });
+    persistSession();
+    
+    try {
+      await chrome.debugger.sendCommand(target, 'Network.enable');
+      await storageLoaded;
+      await applyNetworkConditions(target);
+      const patterns = buildFetchPatterns(tabData);
+      if (patterns.length > 0) {
+        await chrome.debugger.sendCommand(target, 'Fetch.enable', { patterns, handleAuthRequests: true });
+      }
+      // Frames can have frames and workers of their own
+      if (targetInfo.type === 'iframe') {
+        await setTargetAutoAttach(target, true);
+      }
+    } catch (error) {
+      console.error('Failed to set up auto-attached target:', error);
+    }
+  }
+  
+  try {
+    await chrome.debugger.sendCommand(target, 'Runtime.runIfWaitingForDebugger');
+  } catch (error) {
+    // Target already running or gone
+  }
+}
+
+// Forget a frame or worker that went away, its paused requests went with it
+function handleTargetDetached(tabId, params) {
+  const tabData = attachedTabs.get(tabId);
+  if (tabData) {
+    tabData.sessions.delete(params.sessionId);
+    persistSession();
+  }
+  releasePausedRequests(tabId, 'failed', params.sessionId);
+}
+
+// Short label for an auto-attached frame or worker
+function describeTarget(targetInfo) {
+  try {
+    const url = new URL(targetInfo.url);
+    return targetInfo.type === 'worker'
+      ? `Worker ${url.pathname.split('/').pop() || url.host}`
+      : `Frame ${url.host}`;
+  } catch (e) {
+    return targetInfo.type === 'worker' ? 'Worker' : 'Frame';
+  }
+}
+
+// Describe where traffic of a followed popup, frame or worker came from
+// (undefined for the tab the panel attached to)
+function getSourceLabel(target) {
+  const tabData = attachedTabs.get(target.tabId);
+  if (!tabData) {
+    return undefined;
+  }
+  
+  const parts = [];
+  if (tabData.openerTabId !== undefined) {
+    parts.push('Popup');
+  }
+  const session = target.sessionId ? tabData.sessions.get(target.sessionId) : undefined;
+  if (session) {
+    parts.push(session.label);
+  }
+  return parts.length > 0 ? parts.join(' › ') : undefined;
+}
+
+// Load HAR entries to serve to a tab for offline replay (null stops replay)
+async function setHarReplay(tabId, entries) {
+  const tabData = attachedTabs.get(tabId);
+  if (!tabData) {
+    return;
+  }
+  
+  tabData.harReplay = buildHarReplay(entries);
+  await updateFetchPatterns(tabId);
+  
+  // Kept apart from the session state, a large HAR shouldn't keep the rest from being saved
+  const key = harReplayStorageKey(tabId);
+  try {
+    if (tabData.harReplay) {
+      await chrome.storage.session.set({ [key]: entries });
+    } else {
+      await chrome.storage.session.remove(key);
+    }
+  } catch (error) {
+    console.error('HAR replay is too large to survive a worker restart:', error);
+  }
+}
+
+// Index HAR entries for replay by method and URL (null without entries)
+function buildHarReplay(entries) {
+  if (!entries || entries.length === 0) {
+    return null;
+  }
+  
+  const byKey = new Map();
+  entries.forEach(entry => {
+    const key = harReplayKey(entry.method, entry.url);
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(entry);
+  });
+  return { entries: byKey, served: new Map() };
+}
+
+// chrome.storage.session key of a tab's HAR replay entries
+function harReplayStorageKey(tabId) {
+  return `harReplay-${tabId}`;
+}
+
+// Key used to look up recorded responses
+function harReplayKey(method, url) {
+  return `${(method || 'GET').toUpperCase()} ${url}`;
+}
+
+// Find the recorded response for a request
+// Repeated calls to the same URL are answered in recorded order, the last one repeats
+function findHarReplayEntry(harReplay, request) {
+  const key = harReplayKey(request.method, request.url);
+  const recorded = harReplay.entries.get(key);
+  if (!recorded) {
+    return null;
+  }
+  
+  const count = harReplay.served.get(key) || 0;
+  harReplay.served.set(key, count + 1);
+  return recorded[Math.min(count, recorded.length - 1)];
+}
+
+// Build Fetch.enable patterns from interception settings
+// Traffic outside these patterns is never paused and runs at full speed
+function buildFetchPatterns(tabData) {
+  const interception = tabData.interception;
+  const hasMocks = mocks.some(mock => mock.enabled) || Boolean(tabData.harReplay);
+  // Auth challenges are only reported for intercepted requests
+  const hasAuthRules = authRules.some(rule => rule.enabled);
+  const hasRequestRules = rules.some(rule => rule.enabled && (rule.stage || 'request') === 'request');
+  const hasResponseRules = rules.some(rule => rule.enabled && rule.stage === 'response');
+  const activeBreakpoints = breakpoints.filter(bp => bp.enabled);
+  const patterns = [];
+  
+  // Filtered pattern for the panel; the method filter has no pattern equivalent and the
+  // URL filter is case-insensitive while Fetch patterns aren't, both are checked in
+  // matchPause instead
+  const filtered = { urlPattern: '*' };
+  if (interception.filters.type) {
+    const resourceType = RESOURCE_TYPES.find(t => t.toLowerCase() === interception.filters.type.toLowerCase());
+    if (resourceType) {
+      filtered.resourceType = resourceType;
+    }
+  }
+  
+  // Patterns for traffic the panel may pause at a stage
+  const panelPatterns = (stage) => {
+    if (!interception.enabled) {
+      return [];
+    }
+    if (activeBreakpoints.length === 0) {
+      return [{ ...filtered, requestStage: stage }];
+    }
+    
+    // With breakpoints, only their resource types need intercepting. Their URLs are matched
+    // case-insensitively in matchPause, Fetch patterns are case-sensitive
+    return activeBreakpoints
+      .filter(bp => breakpointAppliesToStage(bp, stage.toLowerCase()))
+      .map(bp => {
+        const match = bp.match || {};
+        const pattern = {
+          urlPattern: '*',
+          requestStage: stage
+        };
+        const resourceType = match.resourceType || filtered.resourceType;
+        if (resourceType) {
+          pattern.resourceType = resourceType;
+        }
+        return pattern;
+      });
+  };
+  
+  if (hasMocks || hasRequestRules || hasAuthRules) {
+    patterns.push({ urlPattern: '*', requestStage: 'Request' });
+  } else {
+    patterns.push(...panelPatterns('Request'));
+  }
+  
+  if (hasResponseRules) {
+    patterns.push({ urlPattern: '*', requestStage: 'Response' });
+  } else {
+    patterns.push(...panelPatterns('Response'));
+  }
+  
+  return patterns;
+}
+
+// Apply the current interception patterns to a tab, disabling Fetch when nothing needs pausing
+async function updateFetchPatterns(tabId) {
+  const tabData = attachedTabs.get(tabId);
+  if (!tabData) {
+    return;
+  }
+  
+  await storageLoaded;
+  const patterns = buildFetchPatterns(tabData);
+  const targets = [tabData.target];
+  tabData.sessions.forEach((session, sessionId) => targets.push({ tabId, sessionId }));
+  
+  for (const target of targets) {
+    try {
+      if (patterns.length > 0) {
+        await chrome.debugger.sendCommand(target, 'Fetch.enable', { patterns, handleAuthRequests: true });
+      } else {
+        await chrome.debugger.sendCommand(target, 'Fetch.disable');
+      }
+    } catch (error) {
+      console.error('Failed to update interception patterns:', error);
+    }
+  }
+}
+
+// Check if a paused request should be shown in the panel
+// Requests intercepted only for rules/mocks, outside the filters or not matching
+// a breakpoint continue automatically. Returns null when the request shouldn't
+// pause, otherwise { breakpoint } (breakpoint is undefined without breakpoints)
+async function matchPause(target, params) {
+  const tabData = attachedTabs.get(target.tabId);
+  if (!tabData) {
+    return null;
+  }
+  
+  const { requestId, request, resourceType, responseStatusCode, responseHeaders } = params;
+  const { enabled, filters } = tabData.interception;
+  
+  if (!enabled || !matchesFilters(filters, params)) {
+    return null;
+  }
+  
+  const activeBreakpoints = breakpoints.filter(bp => bp.enabled);
+  if (activeBreakpoints.length === 0) {
+    return { breakpoint: undefined };
+  }
+  
+  const stage = responseStatusCode ? 'response' : 'request';
+  const candidates = activeBreakpoints.filter(bp => breakpointAppliesToStage(bp, stage));
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  // At the response stage, header conditions can match request or response headers
+  const { headersArray } = normalizeRequestHeaders(request.headers);
+  const headers = stage === 'response' ? headersArray.concat(responseHeaders || []) : headersArray;
+  
+  let body = request.postData;
+  if (stage === 'response' && breakpointsNeedBody(candidates)) {
+    try {
+      const result = await chrome.debugger.sendCommand(target, 'Fetch.getResponseBody', { requestId });
+      body = result.base64Encoded ? base64ToText(result.body) || '' : result.body;
+    } catch (error) {
+      body = '';
+    }
+  }
+  
+  const breakpoint = findMatchingBreakpoint(candidates, {
+    url: request.url,
+    method: request.method,
+    resourceType: resourceType,
+    headers: headers,
+    body: body
+  }, stage);
+  
+  return breakpoint ? { breakpoint } : null;
+}
+
+// Check a paused request against the panel's URL/method/type filters
+function matchesFilters(filters, params) {
+  const { request, resourceType } = params;
+  
+  if (filters.url && !request.url.toLowerCase().includes(filters.url.toLowerCase())) {
+    return false;
+  }
+  
+  if (filters.method && request.method !== filters.method) {
+    return false;
+  }
+  
+  if (filters.type && (resourceType || 'other').toLowerCase() !== filters.type.toLowerCase()) {
+    return false;
+  }
+  
+  return true;
+}
+
+// Listen to debugger events
+// Events are handled without a connected panel too, so rules and mocks keep working and
+// paused requests wait for the panel to reconnect
+chrome.debugger.onEvent.addListener(async (source, method, params) => {
+  await sessionRestored;
+  const tabId = source.tabId;
+  const tabData = attachedTabs.get(tabId);
+  
+  if (!tabData) {
+    return;
+  }
+  
+  // Events of auto-attached frames and workers carry their session ID
+  const target = source.sessionId ? { tabId, sessionId: source.sessionId } : tabData.target;
+  
+  switch (method) {
+    case 'Fetch.requestPaused':
+      handleRequestPaused(target, params, tabData.port);
+      break;
+      
+    case 'Fetch.authRequired':
+      handleAuthRequired(target, params, tabData.port);
+      break;
+      
+    case 'Network.requestWillBeSent':
+    case 'Network.responseReceived':
+    case 'Network.loadingFinished':
+    case 'Network.loadingFailed':
+      handleNetworkEvent(target, method, params, tabData.port);
+      break;
+      
+    case 'Network.webSocketCreated':
+    case 'Network.webSocketWillSendHandshakeRequest':
+    case 'Network.webSocketHandshakeResponseReceived':
+    case 'Network.webSocketFrameSent':
+    case 'Network.webSocketFrameReceived':
+    case 'Network.webSocketFrameError':
+    case 'Network.webSocketClosed':
+      handleWebSocketEvent(target, method, params, tabData.port);
+      break;
+      
+    case 'Target.attachedToTarget':
+      handleTargetAttached(tabId, params);
+      break;
+      
+    case 'Target.detachedFromTarget':
+      handleTargetDetached(tabId, params);
+      break;
+  }
+});
+
+// Handle paused request/response
+async function handleRequestPaused(target, params, port) {
+  const tabId = target.tabId;
+  const { requestId, request, responseStatusCode, responseHeaders, networkId, resourceType } = params;
+  
+  // Store pending request
+  attachedTabs.get(tabId).pendingRequests.set(requestId, { tabId, target, params });
+  
+  // Replays already carry the user's edits and go out exactly as sent
+  if (isReplayTraffic(attachedTabs.get(tabId), params)) {
+    try {
+      await chrome.debugger.sendCommand(target, 'Fetch.continueRequest', { requestId });
+    } catch (error) {
+      console.error('Failed to continue replayed request:', error);
+    }
+    deletePendingRequest(tabId, requestId);
+    return;
+  }
+  
+  // Serve saved mocks and apply auto-modification rules before involving the panel
+  if (await serveMock(target, params, port) || await applyRules(target, params, port)) {
+    return;
+  }
+  
+  // Continue right away if the panel doesn't want this request paused,
+  // or no panel came back to the tab in time
+  const pause = await matchPause(target, params);
+  const tabData = attachedTabs.get(tabId);
+  if (!pause || (tabData && tabData.orphaned && !tabData.port)) {
+    try {
+      await chrome.debugger.sendCommand(target, 'Fetch.continueRequest', { requestId });
+    } catch (error) {
+      console.error('Failed to auto-continue request:', error);
+    }
+    deletePendingRequest(tabId, requestId);
+    return;
+  }
+  
+  // Released meanwhile (tab detached or frame gone)
+  const pending = tabData && tabData.pendingRequests.get(requestId);
+  if (!pending) {
+    return;
+  }
+  
+  let data;
+  if (responseStatusCode) {
+    // This is a response interception
+    data = {
+      type: 'RESPONSE_INTERCEPTED',
+      tabId: tabId,
+      sessionId: target.sessionId,
+      source: getSourceLabel(target),
+      requestId: requestId,
+      networkId: networkId,
+      url: request.url,
+      method: request.method,
+      status: responseStatusCode,
+      statusText: getStatusText(responseStatusCode),
+      headers: responseHeaders || [],
+      resourceType: resourceType || 'other',
+      breakpoint: pause.breakpoint ? pause.breakpoint.name : undefined,
+      timestamp: Date.now()
+    };
+  } else {
+    // This is a request interception
+    const { headersObj, headersArray } = normalizeRequestHeaders(request.headers);
+    
+    data = {
+      type: 'REQUEST_INTERCEPTED',
+      tabId: tabId,
+      sessionId: target.sessionId,
+      source: getSourceLabel(target),
+      requestId: requestId,
+      networkId: networkId,
+      url: request.url,
+      method: request.method,
+      headers: headersObj,
+      headersArray: headersArray, // Keep original format for reference
+      postData: request.postData,
+      postDataBase64: getPostDataBase64(request),
+      resourceType: resourceType || 'other',
+      breakpoint: pause.breakpoint ? pause.breakpoint.name : undefined,
+      timestamp: Date.now()
+    };
+  }
+  
+  // Resolve the request in the background if nobody acts on it in time
+  const timeout = resolvePauseTimeout(pause.breakpoint, pauseTimeout);
+  if (timeout) {
+    pending.timeout = { at: Date.now() + timeout.seconds * 1000, action: timeout.action, mockId: timeout.mockId };
+    data.pauseTimeout = { at: pending.timeout.at, action: timeout.action };
+    schedulePauseTimeout(tabId, requestId, pending.timeout.at);
+  }
+  
+  // Keep the message so a reconnecting panel gets the request back
+  pending.message = data;
+  persistSession();
+  
+  // Without a connected panel the request waits for one to reconnect
+  try {
+    safePostMessage(tabData.port, data);
+  } catch (error) {
+    console.error('Error sending message to port:', error);
+  }
+}
+
+// Expire a paused request at its pause timeout
+function schedulePauseTimeout(tabId, requestId, at) {
+  setTimeout(() => expirePausedRequest(tabId, requestId), Math.max(0, at - Date.now()));
+}
+
+// Apply the timeout action to a request still paused at its deadline
+async function expirePausedRequest(tabId, requestId) {
+  const pending = getPendingRequest(tabId, requestId);
+  if (!pending || !pending.timeout) {
+    return;
+  }
+  
+  // Taken out first so a late click in the panel finds nothing to resolve twice
+  deletePendingRequest(tabId, requestId);
+  
+  const { target } = pending;
+  let action = pending.timeout.action;
+  const mock = action === 'mock' ? mocks.find(m => m.id === pending.timeout.mockId) : undefined;
+  if (action === 'mock' && !mock) {
+    // The mock was deleted meanwhile
+    action = 'continue';
+  }
+  
+  try {
+    if (action === 'block') {
+      await chrome.debugger.sendCommand(target, 'Fetch.failRequest', {
+        requestId: requestId,
+        errorReason: 'BlockedByClient'
+      });
+    } else if (action === 'mock') {
+      await chrome.debugger.sendCommand(target, 'Fetch.fulfillRequest', {
+        requestId: requestId,
+        responseCode: mock.status || 200,
+        responseHeaders: mock.headers || [],
+        body: getMockBodyBase64(mock)
+      });
+    } else {
+      await chrome.debugger.sendCommand(target, 'Fetch.continueRequest', { requestId });
+    }
+  } catch (error) {
+    console.error('Failed to resolve timed out request:', error);
+  }
+  
+  const tabData = attachedTabs.get(tabId);
+  safePostMessage(tabData && tabData.port, {
+    type: 'PAUSE_TIMED_OUT',
+    tabId: tabId,
+    requestId: requestId,
+    action: action,
+    mockName: mock ? mock.name : undefined,
+    status: mock ? mock.status || 200 : undefined,
+    statusText: mock ? getStatusText(mock.status || 200) : undefined,
+    responseHeaders: mock ? mock.headers || [] : undefined,
+    responseBodyBase64: mock ? getMockBodyBase64(mock) : undefined
+  });
+}
+
+// Get the request body as base64, from the raw bytes when the debugger provides them
+// (postData is only a UTF-8 decoding and loses binary content)
+function getPostDataBase64(request) {
+  if (Array.isArray(request.postDataEntries) && request.postDataEntries.length > 0) {
+    return btoa(request.postDataEntries.map(entry => atob(entry.bytes || '')).join(''));
+  }
+  return request.postData === undefined ? undefined : textToBase64(request.postData);
+}
+
+// Convert request headers to both object and array format
+// Fetch API sends headers as an object, but some paths use array of {name, value}
+function normalizeRequestHeaders(headers) {
+  let headersObj = {};
+  let headersArray = [];
+  
+  if (headers) {
+    try {
+      if (Array.isArray(headers)) {
+        // Headers are already in array format
+        headersArray = headers;
+        headers.forEach(header => {
+          if (header && typeof header === 'object' && header.name && header.value !== undefined) {
+            headersObj[header.name] = header.value;
+          }
+        });
+      } else if (typeof headers === 'object') {
+        // Headers are in object format {key: value}
+        headersObj = headers;
+        headersArray = Object.entries(headers).map(([name, value]) => ({ name, value }));
+      }
+    } catch (headerError) {
+      console.error('Error processing headers:', headerError, 'Headers:', headers);
+      // Continue with empty headers if processing fails
+      headersObj = {};
+      headersArray = [];
+    }
+  }
+  
+  return { headersObj, headersArray };
+}
+
+// Apply matching auto-modification rules to a paused request
+// Returns true when a rule handled the request and the panel should not pause it
+async function applyRules(target, params, port) {
+  await storageLoaded;
+  
+  const { requestId, request, responseStatusCode, responseHeaders, networkId, resourceType } = params;
+  const stage = responseStatusCode ? 'response' : 'request';
+  const { headersObj, headersArray } = normalizeRequestHeaders(request.headers);
+  const headers = stage === 'response' ? (responseHeaders || []) : headersArray;
+  
+  const matchingRules = findMatchingRules(rules, {
+    url: request.url,
+    method: request.method,
+    resourceType: resourceType,
+    headers: headers
+  }, stage);
+  
+  const result = applyRuleActions(matchingRules, { url: request.url, headers: headers });
+  if (!result) {
+    return false;
+  }
+  
+  let heldMs = result.delayMs;
+  // Headers fixed up to match a replaced or decoded body
+  let fulfilledHeaders = result.headers;
+  let headerAdjustments = [];
+  const faultResponse = result.errorResponse ? buildFaultResponse(result.errorResponse) : null;
+  try {
+    if (result.blocked) {
+      if (!await holdPausedRequest(target.tabId, requestId, result.delayMs)) {
+        return true;
+      }
+      await chrome.debugger.sendCommand(target, 'Fetch.failRequest', {
+        requestId: requestId,
+        errorReason: result.errorReason || 'BlockedByClient'
+      });
+    } else if (faultResponse) {
+      if (!await holdPausedRequest(target.tabId, requestId, result.delayMs)) {
+        return true;
+      }
+      await chrome.debugger.sendCommand(target, 'Fetch.fulfillRequest', {
+        requestId: requestId,
+        ...faultResponse
+      });
+    } else if (stage === 'request') {
+      const command = { requestId: requestId };
+      if (result.url !== request.url) {
+        command.url = result.url;
+      }
+      if (result.headersChanged) {
+        command.headers = result.headers;
+      }
+      if (result.body !== undefined) {
+        command.postData = textToBase64(result.body);
+        if (fixHeadersEnabled) {
+          const fixed = normalizeBodyHeaders(command.headers || headersArray, command.postData, false);
+          if (fixed.adjustments.length > 0) {
+            command.headers = fixed.headers;
+            headerAdjustments = fixed.adjustments;
+          }
+        }
+      }
+      // Latency first, then the time the upload takes at the speed limit
+      heldMs = result.delayMs + computeThrottleDelay(base64ByteLength(command.postData || getPostDataBase64(request)), result.throttleKbps);
+      if (!await holdPausedRequest(target.tabId, requestId, heldMs)) {
+        return true;
+      }
+      await chrome.debugger.sendCommand(target, 'Fetch.continueRequest', command);
+    } else {
+      // Fulfilling a response needs the body, fetch the original if no rule replaced it
+      let body;
+      if (result.body !== undefined) {
+        body = textToBase64(result.body);
+      } else {
+        const original = await chrome.debugger.sendCommand(target, 'Fetch.getResponseBody', { requestId });
+        body = original.base64Encoded ? original.body : textToBase64(original.body);
+      }
+      // Debugger bodies arrive decoded, like in continueResponse
+      if (fixHeadersEnabled) {
+        const fixed = normalizeBodyHeaders(fulfilledHeaders, body, true);
+        fulfilledHeaders = fixed.headers;
+        headerAdjustments = fixed.adjustments;
+      }
+      // The page gets the body in one piece, after the time it takes at the speed limit
+      heldMs = result.delayMs + computeThrottleDelay(base64ByteLength(body), result.throttleKbps);
+      if (!await holdPausedRequest(target.tabId, requestId, heldMs)) {
+        return true;
+      }
+      await chrome.debugger.sendCommand(target, 'Fetch.fulfillRequest', {
+        requestId: requestId,
+        responseCode: responseStatusCode,
+        responseHeaders: fulfilledHeaders,
+        body: body
+      });
+    }
+    deletePendingRequest(target.tabId, requestId);
+  } catch (error) {
+    console.error('Failed to apply rules:', error);
+    // Leave the request paused so the panel can still handle it
+    return false;
+  }
+  
+  safePostMessage(port, {
+    type: 'RULE_APPLIED',
+    tabId: target.tabId,
+    sessionId: target.sessionId,
+    source: getSourceLabel(target),
+    requestId: requestId,
+    networkId: networkId,
+    url: request.url,
+    method: request.method,
+    headers: headersObj,
+    postData: request.postData,
+    postDataBase64: getPostDataBase64(request),
+    resourceType: resourceType || 'other',
+    stage: stage,
+    status: faultResponse ? faultResponse.responseCode : responseStatusCode,
+    statusText: faultResponse ? getStatusText(faultResponse.responseCode) : responseStatusCode ? getStatusText(responseStatusCode) : undefined,
+    responseHeaders: faultResponse ? faultResponse.responseHeaders : stage === 'response' ? fulfilledHeaders : undefined,
+    responseBodyBase64: faultResponse ? faultResponse.body : undefined,
+    fault: result.errorReason ? describeFault('error', result.errorReason) : faultResponse ? describeFault('response', result.errorResponse) : undefined,
+    blocked: result.blocked,
+    ruleNames: result.ruleNames,
+    heldMs: heldMs,
+    timestamp: Date.now()
+  });
+  // After RULE_APPLIED, so the panel has the entry to note them on
+  if (headerAdjustments.length > 0) {
+    reportHeaderAdjustments(target.tabId, requestId, headerAdjustments);
+  }
+  
+  return true;
+}
+
+// Answer an auth challenge with stored credentials, pause it for the panel or leave it to the browser
+// Paused challenges are kept under their own key, the request may have been paused before
+async function handleAuthRequired(target, params, port) {
+  await storageLoaded;
+  
+  const tabId = target.tabId;
+  const tabData = attachedTabs.get(tabId);
+  const { requestId, request, resourceType, authChallenge } = params;
+  if (!tabData) {
+    return;
+  }
+  
+  const { headersObj } = normalizeRequestHeaders(request.headers);
+  const data = {
+    tabId: tabId,
+    sessionId: target.sessionId,
+    source: getSourceLabel(target),
+    requestId: `auth:${requestId}`,
+    url: request.url,
+    method: request.method,
+    headers: headersObj,
+    resourceType: resourceType || 'other',
+    challenge: authChallenge,
+    timestamp: Date.now()
+  };
+  
+  // Stored credentials are tried once, a second challenge means they were rejected
+  const rule = findAuthRule(authRules, authChallenge);
+  const rejected = tabData.authAnswered.delete(requestId);
+  if (rule && !rejected) {
+    try {
+      await chrome.debugger.sendCommand(target, 'Fetch.continueWithAuth', {
+        requestId: requestId,
+        authChallengeResponse: { response: 'ProvideCredentials', username: rule.username, password: rule.password }
+      });
+      tabData.authAnswered.add(requestId);
+    } catch (error) {
+      console.error('Failed to answer auth challenge:', error);
+      return;
+    }
+    safePostMessage(port, { type: 'AUTH_HANDLED', ...data, username: rule.username, origin: rule.origin });
+    return;
+  }
+  
+  // Outside the panel's interception the browser handles the challenge as usual
+  const filters = tabData.interception.filters;
+  if (!tabData.interception.enabled || !matchesFilters(filters, params) || (tabData.orphaned && !tabData.port)) {
+    try {
+      await chrome.debugger.sendCommand(target, 'Fetch.continueWithAuth', {
+        requestId: requestId,
+        authChallengeResponse: { response: 'Default' }
+      });
+    } catch (error) {
+      console.error('Failed to pass on auth challenge:', error);
+    }
+    return;
+  }
+  
+  const pending = { tabId, target, params, auth: true };
+  pending.message = { type: 'AUTH_REQUIRED', ...data, rejectedCredentials: rejected };
+  tabData.pendingRequests.set(data.requestId, pending);
+  persistSession();
+  safePostMessage(tabData.port, pending.message);
+}
+
+// Answer a paused auth challenge: ProvideCredentials, CancelAuth or Default (the browser's own handling)
+async function answerAuthChallenge(tabId, requestId, response, credentials) {
+  const pending = getPendingRequest(tabId, requestId);
+  if (!pending) {
+    console.error('No pending auth challenge found:', requestId);
+    return;
+  }
+  
+  const authChallengeResponse = { response };
+  if (response === 'ProvideCredentials' && credentials) {
+    authChallengeResponse.username = credentials.username;
+    authChallengeResponse.password = credentials.password;
+  }
+  
+  try {
+    await chrome.debugger.sendCommand(pending.target, 'Fetch.continueWithAuth', {
+      requestId: pending.params.requestId,
+      authChallengeResponse: authChallengeResponse
+    });
+    deletePendingRequest(tabId, requestId);
+  } catch (error) {
+    console.error('Failed to answer auth challenge:', error);
+  }
+}
+
+// Hold a paused request for a rule's delay or speed limit
+// Returns false when the request was released meanwhile (tab detached or frame gone)
+async function holdPausedRequest(tabId, requestId, ms) {
+  if (ms > 0) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+  return Boolean(getPendingRequest(tabId, requestId));
+}
+
+// Apply the global network throttling preset to a tab or an auto-attached target
+async function applyNetworkConditions(target) {
+  const preset = NETWORK_PRESETS[networkPreset] || NETWORK_PRESETS.none;
+  try {
+    await chrome.debugger.sendCommand(target, 'Network.emulateNetworkConditions', {
+      offline: Boolean(preset.offline),
+      latency: preset.latency || 0,
+      // -1 turns throttling off
+      downloadThroughput: preset.downloadThroughput ?? -1,
+      uploadThroughput: preset.uploadThroughput ?? -1
+    });
+  } catch (error) {
+    console.error('Failed to emulate network conditions:', error);
+  }
+}
+
+// Answer a paused request with a matching mock or HAR replay entry without hitting the network
+// Returns true when a response was served
+async function serveMock(target, params, port) {
+  await storageLoaded;
+  
+  const { requestId, request, responseStatusCode, networkId, resourceType } = params;
+  
+  // Mocks are served at the Request stage only
+  if (responseStatusCode) {
+    return false;
+  }
+  
+  // HAR replay takes precedence over the mock library
+  const tabData = attachedTabs.get(target.tabId);
+  const harEntry = tabData && tabData.harReplay ? findHarReplayEntry(tabData.harReplay, request) : null;
+  const mock = harEntry ? { name: 'HAR replay', ...harEntry } : findMatchingMock(mocks, request);
+  if (!mock) {
+    return false;
+  }
+  
+  try {
+    await chrome.debugger.sendCommand(target, 'Fetch.fulfillRequest', {
+      requestId: requestId,
+      responseCode: mock.status || 200,
+      responseHeaders: mock.headers || [],
+      body: getMockBodyBase64(mock)
+    });
+    deletePendingRequest(target.tabId, requestId);
   } catch (error) {
-    if (error.message && error.message.includes('disconnected')) {
-      return false;
-    }
-    throw error;
+    console.error('Failed to serve mock:', error);
+    return false;
   }
+  
+  const { headersObj } = normalizeRequestHeaders(request.headers);
+  
+  safePostMessage(port, {
+    type: 'MOCK_SERVED',
+    tabId: target.tabId,
+    sessionId: target.sessionId,
+    source: getSourceLabel(target),
+    requestId: requestId,
+    networkId: networkId,
+    url: request.url,
+    method: request.method,
+    headers: headersObj,
+    postData: request.postData,
+    postDataBase64: getPostDataBase64(request),
+    resourceType: resourceType || 'other',
+    mockName: mock.name,
+    status: mock.status || 200,
+    statusText: getStatusText(mock.status || 200),
+    responseHeaders: mock.headers || [],
+    responseBodyBase64: getMockBodyBase64(mock),
+    timestamp: Date.now()
+  });
+  
+  return true;
 }
 
-// Listen for messages from DevTools panel
-chrome.runtime.onConnect.addListener((port) => {
-  port.onMessage.addListener(async (msg) => {
-    
-    switch (msg.type) {
-      case 'ATTACH_DEBUGGER':
-        await attachDebugger(msg.tabId, port);
-        break;
-        
-      case 'DETACH_DEBUGGER':
-        await detachDebugger(msg.tabId);
-        break;
-        
-      case 'CONTINUE_REQUEST':
-        continueRequest(msg.requestId, msg.modifications);
-        break;
-        
-      case 'CONTINUE_RESPONSE':
-        continueResponse(msg.requestId, msg.modifications);
-        break;
-        
-      case 'BLOCK_REQUEST':
-        blockRequest(msg.requestId);
-        break;
-        
-      case 'GET_RESPONSE_BODY':
-        await getResponseBody(msg.tabId, msg.requestId, port);
-        break;
-    }
-  });
+// Resend a request from the inspected page (Runtime.evaluate + fetch) or from the extension
+// msg: { tabId, replayId, context: 'page'|'extension', url, method, headers, bodyBase64 }
+async function replayRequest(msg, port) {
+  const { tabId, replayId } = msg;
+  const spec = {
+    url: msg.url,
+    method: (msg.method || 'GET').toUpperCase(),
+    headers: (msg.headers || []).filter(h => h.name && !h.name.startsWith(':')),
+    bodyBase64: ['GET', 'HEAD'].includes((msg.method || 'GET').toUpperCase()) ? '' : msg.bodyBase64 || ''
+  };
   
-  port.onDisconnect.addListener(() => {
-    // Clean up on disconnect
+  let result;
+  try {
+    result = msg.context === 'extension'
+      ? await fetchReplay(spec)
+      : await evaluateReplay(tabId, spec);
+  } catch (error) {
+    result = { error: error.message };
+  }
+  
+  safePostMessage(port, {
+    type: 'REPLAY_RESULT',
+    replayId: replayId,
+    ...result
   });
-});
+}
 
-// Attach debugger to a tab
-async function attachDebugger(tabId, port) {
+// Run the replay fetch inside the inspected page, with its cookies, origin and service workers
+async function evaluateReplay(tabId, spec) {
+  const tabData = attachedTabs.get(tabId);
+  if (!tabData) {
+    throw new Error('Debugger is not attached to the tab');
+  }
+  
+  // Let the page's fetch through without pausing it
+  const pendingReplay = { method: spec.method, url: replayUrlKey(spec.url) };
+  tabData.replay.pending.push(pendingReplay);
+  
   try {
-    const target = { tabId: tabId };
-    
-    // Check if already attached
-    if (attachedTabs.has(tabId)) {
-      try {
-        port.postMessage({ type: 'DEBUGGER_ATTACHED', tabId });
-      } catch (e) {
-        // Port disconnected, clean up
-        attachedTabs.delete(tabId);
-      }
-      return;
-    }
-    
-    await chrome.debugger.attach(target, '1.3');
-    
-    // Enable Network domain
-    await chrome.debugger.sendCommand(target, 'Network.enable');
-    
-    // Enable Fetch domain for request interception
-    await chrome.debugger.sendCommand(target, 'Fetch.enable', {
-      patterns: [{ urlPattern: '*', requestStage: 'Request' }, { urlPattern: '*', requestStage: 'Response' }]
+    const response = await chrome.debugger.sendCommand(tabData.target, 'Runtime.evaluate', {
+      expression: `(${pageReplayFetch.toString()})(${JSON.stringify(spec)})`,
+      awaitPromise: true,
+      returnByValue: true,
+      userGesture: true
     });
     
-    attachedTabs.set(tabId, { port, target });
-    
+    if (response.exceptionDetails) {
+      const exception = response.exceptionDetails.exception;
+      throw new Error((exception && exception.description) || response.exceptionDetails.text);
+    }
+    return response.result.value;
+  } finally {
+    const index = tabData.replay.pending.indexOf(pendingReplay);
+    if (index !== -1) {
+      tabData.replay.pending.splice(index, 1);
+    }
+  }
+}
+
+// Run the replay fetch from the service worker, outside the page's context
+async function fetchReplay(spec) {
+  const headers = new Headers();
+  spec.headers.forEach(h => {
     try {
-      port.postMessage({ type: 'DEBUGGER_ATTACHED', tabId });
+      headers.append(h.name, h.value);
     } catch (e) {
-      // Port disconnected during attachment, clean up
-      if (e.message && e.message.includes('disconnected')) {
-        attachedTabs.delete(tabId);
-        await chrome.debugger.detach(target);
-      }
+      // Invalid header name or value, skip it
     }
-    
-  } catch (error) {
-    console.error('Failed to attach debugger:', error);
+  });
+  
+  const init = { method: spec.method, headers: headers, credentials: 'include' };
+  if (spec.bodyBase64) {
+    init.body = base64ToBytes(spec.bodyBase64);
+  }
+  
+  const response = await fetch(spec.url, init);
+  const responseHeaders = [];
+  response.headers.forEach((value, name) => responseHeaders.push({ name, value }));
+  
+  return {
+    url: response.url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: responseHeaders,
+    bodyBase64: bytesToBase64(new Uint8Array(await response.arrayBuffer()))
+  };
+}
+
+// Evaluated in the inspected page by evaluateReplay, must be self-contained
+async function pageReplayFetch(spec) {
+  const headers = new Headers();
+  spec.headers.forEach(h => {
     try {
-      port.postMessage({ type: 'DEBUGGER_ERROR', error: error.message });
+      headers.append(h.name, h.value);
     } catch (e) {
-      // Port disconnected, can't send error
+      // Invalid header name or value, skip it
+    }
+  });
+  
+  const init = { method: spec.method, headers: headers, credentials: 'include' };
+  if (spec.bodyBase64) {
+    const binary = atob(spec.bodyBase64);
+    const body = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      body[i] = binary.charCodeAt(i);
     }
+    init.body = body;
   }
+  
+  const response = await fetch(spec.url, init);
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  
+  const responseHeaders = [];
+  response.headers.forEach((value, name) => responseHeaders.push({ name, value }));
+  
+  return {
+    url: response.url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: responseHeaders,
+    bodyBase64: btoa(binary)
+  };
 }
 
-// Detach debugger from a tab
-async function detachDebugger(tabId) {
+// Normalize a URL the way it shows up in Fetch.requestPaused (no fragment)
+function replayUrlKey(url) {
   try {
-    if (!attachedTabs.has(tabId)) {
-      return;
-    }
-    
-    const target = { tabId: tabId };
-    await chrome.debugger.detach(target);
-    attachedTabs.delete(tabId);
-    pendingRequests.clear();
-    requestData.clear();
-  } catch (error) {
-    console.error('Failed to detach debugger:', error);
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch (e) {
+    return url;
   }
 }
 
-// Listen to debugger events
-chrome.debugger.onEvent.addListener((source, method, params) => {
-  const tabId = source.tabId;
-  const tabData = attachedTabs.get(tabId);
-  
-  if (!tabData || !tabData.port) {
-    return;
+// Check if a paused request belongs to a replay sent from the panel
+// The request stage is matched by method and URL, later stages by network ID
+function isReplayTraffic(tabData, params) {
+  if (!tabData || !tabData.replay) {
+    return false;
   }
   
-  switch (method) {
-    case 'Fetch.requestPaused':
-      handleRequestPaused(tabId, params, tabData.port);
-      break;
-      
-    case 'Network.responseReceived':
-      handleResponseReceived(tabId, params, tabData.port);
-      break;
+  const replay = tabData.replay;
+  const id = params.networkId || params.requestId;
+  if (replay.networkIds.has(id)) {
+    return true;
   }
-});
+  if (params.responseStatusCode || params.responseErrorReason) {
+    return false;
+  }
+  
+  return claimReplayRequest(replay, id, params.request);
+}
 
-// Handle paused request/response
-async function handleRequestPaused(tabId, params, port) {
-  const { requestId, request, responseStatusCode, responseHeaders, networkId, resourceType } = params;
+// Match a request against the replays in flight and remember its network ID
+// Whichever of Fetch.requestPaused and Network.requestWillBeSent comes first claims it
+function claimReplayRequest(replay, networkId, request) {
+  const index = replay.pending.findIndex(r =>
+    r.method === (request.method || 'GET').toUpperCase() && r.url === replayUrlKey(request.url)
+  );
+  if (index === -1) {
+    return false;
+  }
   
-  // Store pending request
-  pendingRequests.set(requestId, { tabId, params });
+  replay.pending.splice(index, 1);
+  replay.networkIds.add(networkId);
+  return true;
+}
+
+// Track the lifecycle of a network request and forward it to the panel
+// Events are correlated by network ID; redirects reuse the ID of the original request
+function handleNetworkEvent(target, method, params, port) {
+  const tabData = attachedTabs.get(target.tabId);
+  const requestData = tabData.requestData;
+  const networkId = params.requestId;
+  let lifecycle = requestData.get(networkId);
   
-  // Check if port is still connected
-  if (!port) {
-    console.error('Port is not available for tab', tabId);
+  // Page replays are already listed under their replay entry
+  if (tabData.replay.networkIds.has(networkId) || (method === 'Network.requestWillBeSent'
+    && !params.redirectResponse && claimReplayRequest(tabData.replay, networkId, params.request))) {
     return;
   }
   
-  try {
-    if (responseStatusCode) {
-      // This is a response interception
-      const data = {
-        type: 'RESPONSE_INTERCEPTED',
-        requestId: requestId,
-        networkId: networkId,
-        url: request.url,
-        method: request.method,
-        status: responseStatusCode,
-        statusText: getStatusText(responseStatusCode),
-        headers: responseHeaders || [],
-        resourceType: resourceType || 'other',
-        timestamp: Date.now()
-      };
-      
-      port.postMessage(data);
+  if (method === 'Network.requestWillBeSent') {
+    const { request, redirectResponse } = params;
+    
+    if (lifecycle && redirectResponse) {
+      lifecycle.redirects.push({
+        url: lifecycle.url,
+        status: redirectResponse.status,
+        statusText: redirectResponse.statusText
+      });
     } else {
-      // This is a request interception
-      // Fetch API sends headers as array of {name, value} objects
-      // Convert to object format for easier editing in UI
-      let headersObj = {};
-      let headersArray = [];
-      
-      if (request.headers) {
-        try {
-          if (Array.isArray(request.headers)) {
-            // Headers are already in array format
-            headersArray = request.headers;
-            request.headers.forEach(header => {
-              if (header && typeof header === 'object' && header.name && header.value !== undefined) {
-                headersObj[header.name] = header.value;
-              }
-            });
-          } else if (typeof request.headers === 'object' && request.headers !== null) {
-            // Headers are in object format {key: value}
-            headersObj = request.headers;
-            headersArray = Object.entries(request.headers).map(([name, value]) => ({ name, value }));
-          }
-        } catch (headerError) {
-          console.error('Error processing headers:', headerError, 'Headers:', request.headers);
-          // Continue with empty headers if processing fails
-          headersObj = {};
-          headersArray = [];
-        }
-      }
-      
-      const data = {
-        type: 'REQUEST_INTERCEPTED',
-        requestId: requestId,
+      lifecycle = {
         networkId: networkId,
-        url: request.url,
-        method: request.method,
-        headers: headersObj,
-        headersArray: headersArray, // Keep original format for reference
-        postData: request.postData,
-        resourceType: resourceType || 'other',
-        timestamp: Date.now()
+        tabId: target.tabId,
+        sessionId: target.sessionId,
+        startTime: params.timestamp,
+        wallTime: params.wallTime,
+        redirects: []
       };
-      
-      // Store request data for later reference
-      requestData.set(requestId, data);
-      
-      port.postMessage(data);
-    }
-  } catch (error) {
-    // Port might be disconnected
-    if (error.message && error.message.includes('disconnected')) {
-      console.error('Port disconnected, cleaning up tab', tabId);
-      // Clean up the disconnected tab
-      if (attachedTabs.has(tabId)) {
-        attachedTabs.delete(tabId);
-      }
-    } else {
-      console.error('Error sending message to port:', error);
+      requestData.set(networkId, lifecycle);
     }
+    
+    lifecycle.url = request.url;
+    lifecycle.method = request.method;
+    lifecycle.requestHeaders = request.headers;
+    lifecycle.postData = request.postData;
+    lifecycle.resourceType = params.type || 'Other';
+    lifecycle.initiator = params.initiator ? params.initiator.type : undefined;
+  } else if (!lifecycle) {
+    // Started before the debugger was attached
+    return;
+  } else if (method === 'Network.responseReceived') {
+    const { response } = params;
+    lifecycle.status = response.status;
+    lifecycle.statusText = response.statusText;
+    lifecycle.responseHeaders = response.headers;
+    lifecycle.mimeType = response.mimeType;
+    lifecycle.protocol = response.protocol;
+    lifecycle.remoteIPAddress = response.remoteIPAddress;
+    lifecycle.remotePort = response.remotePort;
+    lifecycle.fromDiskCache = response.fromDiskCache;
+    lifecycle.fromServiceWorker = response.fromServiceWorker;
+    lifecycle.timing = response.timing;
+    lifecycle.encodedDataLength = response.encodedDataLength;
+  } else if (method === 'Network.loadingFinished') {
+    lifecycle.finished = true;
+    lifecycle.endTime = params.timestamp;
+    lifecycle.encodedDataLength = params.encodedDataLength;
+    requestData.delete(networkId);
+  } else if (method === 'Network.loadingFailed') {
+    lifecycle.failed = {
+      errorText: params.errorText,
+      canceled: Boolean(params.canceled),
+      blockedReason: params.blockedReason
+    };
+    lifecycle.endTime = params.timestamp;
+    requestData.delete(networkId);
   }
+  
+  safePostMessage(port, {
+    type: 'NETWORK_LIFECYCLE',
+    tabId: target.tabId,
+    sessionId: target.sessionId,
+    source: getSourceLabel(target),
+    networkId: networkId,
+    lifecycle: lifecycle
+  });
+}
+
+// Forward a WebSocket event to the panel
+// Connections can't be paused, so the panel keeps their frames and the worker keeps no state
+function handleWebSocketEvent(target, method, params, port) {
+  safePostMessage(port, {
+    type: 'WEBSOCKET_EVENT',
+    tabId: target.tabId,
+    sessionId: target.sessionId,
+    source: getSourceLabel(target),
+    method: method,
+    params: params
+  });
 }
 
-// Handle response received
-function handleResponseReceived(tabId, params, port) {
-  const { requestId, response } = params;
+// Find a paused request in a tab's session
+function getPendingRequest(tabId, requestId) {
+  const tabData = attachedTabs.get(tabId);
+  return tabData ? tabData.pendingRequests.get(requestId) : undefined;
+}
+
+// Forget a paused request once it has been resolved
+function deletePendingRequest(tabId, requestId) {
+  const tabData = attachedTabs.get(tabId);
+  if (!tabData) {
+    return;
+  }
   
-  // Store response metadata
-  if (requestData.has(requestId)) {
-    requestData.get(requestId).response = {
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers
-    };
+  const pending = tabData.pendingRequests.get(requestId);
+  tabData.pendingRequests.delete(requestId);
+  if (pending && pending.message) {
+    persistSession();
   }
 }
 
 // Continue request with or without modifications
-async function continueRequest(requestId, modifications) {
-  const pending = pendingRequests.get(requestId);
+async function continueRequest(tabId, requestId, modifications) {
+  const pending = getPendingRequest(tabId, requestId);
   if (!pending) {
     console.error('No pending request found:', requestId);
     return;
   }
   
-  const { tabId, params } = pending;
-  const target = { tabId };
+  const { target, params } = pending;
   
   try {
     const command = {
@@ -293,43 +1651,49 @@ async function continueRequest(requestId, modifications) {
           command.headers = [];
         }
       }
-      if (modifications.postData !== undefined) {
-        // postData must be base64 encoded for Fetch.continueRequest
-        try {
-          command.postData = btoa(unescape(encodeURIComponent(modifications.postData)));
-        } catch (e) {
-          console.error('Failed to encode postData:', e);
-          // If encoding fails, try direct base64
-          try {
-            command.postData = btoa(modifications.postData);
-          } catch (e2) {
-            console.error('Failed to base64 encode postData:', e2);
-            // Continue without postData if encoding fails
-            console.warn('Skipping postData due to encoding error');
-          }
+      // postData must be base64 encoded for Fetch.continueRequest
+      if (modifications.postDataBase64 !== undefined) {
+        command.postData = modifications.postDataBase64;
+      } else if (modifications.postData !== undefined) {
+        command.postData = textToBase64(modifications.postData);
+      }
+      
+      // A changed body keeps the original headers unless they were edited, fix the ones describing it
+      if (command.postData !== undefined && fixHeadersEnabled) {
+        const headers = command.headers || normalizeRequestHeaders(params.request.headers).headersArray;
+        const fixed = normalizeBodyHeaders(headers, command.postData, false);
+        if (fixed.adjustments.length > 0) {
+          command.headers = fixed.headers;
+          reportHeaderAdjustments(tabId, requestId, fixed.adjustments);
         }
       }
     }
     
     await chrome.debugger.sendCommand(target, 'Fetch.continueRequest', command);
-    pendingRequests.delete(requestId);
+    deletePendingRequest(tabId, requestId);
   } catch (error) {
     console.error('Failed to continue request:', error);
   }
 }
 
 // Continue response with or without modifications
-async function continueResponse(requestId, modifications) {
-  const pending = pendingRequests.get(requestId);
+async function continueResponse(tabId, requestId, modifications) {
+  const pending = getPendingRequest(tabId, requestId);
   if (!pending) {
     console.error('No pending response found:', requestId);
     return;
   }
   
-  const { tabId, params } = pending;
-  const target = { tabId };
+  const { target, params } = pending;
   
   try {
+    // Without modifications let the original response through untouched
+    if (!modifications || Object.keys(modifications).length === 0) {
+      await chrome.debugger.sendCommand(target, 'Fetch.continueRequest', { requestId });
+      deletePendingRequest(tabId, requestId);
+      return;
+    }
+    
     // IMPORTANT: Fetch.fulfillRequest requires mandatory fields
     // responseCode and responseHeaders are REQUIRED
     const command = {
@@ -338,59 +1702,169 @@ async function continueResponse(requestId, modifications) {
       responseHeaders: params.responseHeaders || []
     };
     
-    // Apply modifications if provided
-    if (modifications) {
-      if (modifications.responseCode) {
-        command.responseCode = modifications.responseCode;
-      }
-      if (modifications.responseHeaders) {
-        command.responseHeaders = modifications.responseHeaders;
-      }
-      if (modifications.body !== undefined) {
-        // Encode body to base64
-        try {
-          command.body = btoa(unescape(encodeURIComponent(modifications.body)));
-        } catch (e) {
-          console.error('Failed to encode body:', e);
-          // If encoding fails, try direct base64
-          command.body = btoa(modifications.body);
-        }
+    if (modifications.responseCode) {
+      command.responseCode = modifications.responseCode;
+    }
+    if (modifications.responseHeaders) {
+      command.responseHeaders = modifications.responseHeaders;
+    }
+    
+    // Fulfilling replaces the whole response, keep the original bytes unless the body was edited
+    if (modifications.bodyBase64 !== undefined) {
+      command.body = modifications.bodyBase64;
+    } else if (modifications.body !== undefined) {
+      command.body = textToBase64(modifications.body);
+    } else {
+      const original = await chrome.debugger.sendCommand(target, 'Fetch.getResponseBody', { requestId });
+      command.body = original.base64Encoded ? original.body : textToBase64(original.body);
+    }
+    
+    // The debugger hands out bodies decoded (and text as UTF-8), so even the original body no
+    // longer matches its Content-Encoding, Content-Length or charset once it is fulfilled
+    if (fixHeadersEnabled) {
+      const fixed = normalizeBodyHeaders(command.responseHeaders, command.body, true);
+      if (fixed.adjustments.length > 0) {
+        command.responseHeaders = fixed.headers;
+        reportHeaderAdjustments(tabId, requestId, fixed.adjustments);
       }
     }
     
     await chrome.debugger.sendCommand(target, 'Fetch.fulfillRequest', command);
-    pendingRequests.delete(requestId);
+    deletePendingRequest(tabId, requestId);
   } catch (error) {
     console.error('Failed to continue response:', error);
   }
 }
 
+// Fix the headers describing a body that changed: Content-Length, a Content-Encoding the
+// bytes don't carry and a non-UTF-8 charset on UTF-8 text. headers is an array of
+// { name, value }. Decoded bodies (responses read through the debugger) only keep their
+// Content-Encoding when the bytes are recognizably encoded.
+// Returns { headers, adjustments } with a description of each change
+function normalizeBodyHeaders(headers, base64, decoded) {
+  const bytes = base64ToBytes(base64);
+  const adjustments = [];
+  const normalized = [];
+  
+  headers.forEach(header => {
+    const name = String(header.name).toLowerCase();
+    const value = String(header.value);
+    
+    if (name === 'content-length') {
+      const length = String(bytes.length);
+      if (value.trim() !== length) {
+        adjustments.push(`${header.name}: ${value} → ${length}`);
+        normalized.push({ name: header.name, value: length });
+        return;
+      }
+    } else if (name === 'content-encoding') {
+      // With several codings the last one applied is the outermost
+      const coding = value.split(',').pop().trim().toLowerCase();
+      const encoded = isEncodedBody(bytes, coding);
+      if (coding !== 'identity' && (decoded ? encoded !== true : encoded === false)) {
+        adjustments.push(`Removed ${header.name}: ${value}, ${decoded ? 'the body is sent decoded' : `the body isn't ${coding}-encoded`}`);
+        return;
+      }
+    } else if (name === 'content-type') {
+      const charset = value.match(/;\s*charset=("?)([^";\s]+)\1/i);
+      if (charset && !/^utf-?8$/i.test(charset[2]) && bytes.some(byte => byte > 0x7f) && base64ToText(base64) !== null) {
+        adjustments.push(`${header.name} charset: ${charset[2]} → utf-8`);
+        normalized.push({ name: header.name, value: value.replace(charset[0], '; charset=utf-8') });
+        return;
+      }
+    }
+    
+    normalized.push(header);
+  });
+  
+  return { headers: normalized, adjustments };
+}
+
+// Check whether a body starts like data in a content coding
+// Returns undefined for codings without a recognizable header (br, raw deflate)
+function isEncodedBody(bytes, coding) {
+  switch (coding) {
+    case 'gzip':
+    case 'x-gzip':
+      return bytes[0] === 0x1f && bytes[1] === 0x8b;
+    case 'zstd':
+      return bytes[0] === 0x28 && bytes[1] === 0xb5 && bytes[2] === 0x2f && bytes[3] === 0xfd;
+    case 'deflate':
+      // zlib-wrapped deflate, servers sending raw deflate can't be told apart from plain bytes
+      return bytes.length >= 2 && (bytes[0] & 0x0f) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0 ? true : undefined;
+    default:
+      return undefined;
+  }
+}
+
+// Tell the panel which headers were fixed up for a modified body
+function reportHeaderAdjustments(tabId, requestId, adjustments) {
+  const tabData = attachedTabs.get(tabId);
+  safePostMessage(tabData ? tabData.port : null, {
+    type: 'HEADERS_ADJUSTED',
+    tabId: tabId,
+    requestId: requestId,
+    adjustments: adjustments
+  });
+}
+
 // Block request
-async function blockRequest(requestId) {
-  const pending = pendingRequests.get(requestId);
+async function blockRequest(tabId, requestId, errorReason = 'BlockedByClient') {
+  const pending = getPendingRequest(tabId, requestId);
   if (!pending) {
     console.error('No pending request found:', requestId);
     return;
   }
   
-  const { tabId } = pending;
-  const target = { tabId };
+  const { target } = pending;
   
   try {
     await chrome.debugger.sendCommand(target, 'Fetch.failRequest', {
       requestId: requestId,
-      errorReason: 'BlockedByClient'
+      errorReason: errorReason
     });
     
-    pendingRequests.delete(requestId);
+    deletePendingRequest(tabId, requestId);
   } catch (error) {
     console.error('Failed to block request:', error);
   }
 }
 
+// Answer a paused request with a canned error response (fault menu)
+async function sendErrorResponse(tabId, requestId, key) {
+  const pending = getPendingRequest(tabId, requestId);
+  if (!pending) {
+    console.error('No pending request found:', requestId);
+    return;
+  }
+  
+  try {
+    await chrome.debugger.sendCommand(pending.target, 'Fetch.fulfillRequest', {
+      requestId: requestId,
+      ...buildFaultResponse(key)
+    });
+    
+    deletePendingRequest(tabId, requestId);
+  } catch (error) {
+    console.error('Failed to send error response:', error);
+  }
+}
+
+// Continue or block a batch of paused requests (the panel's bulk commands)
+// Continuing without modifications works the same at the request and the response stage
+async function handleBulkAction(action, requests) {
+  await Promise.all(requests.map(({ tabId, requestId }) => {
+    // Auth challenges can't be continued or failed, leave them to the browser or cancel them
+    if (getPendingRequest(tabId, requestId)?.auth) {
+      return answerAuthChallenge(tabId, requestId, action === 'block' ? 'CancelAuth' : 'Default');
+    }
+    return action === 'block' ? blockRequest(tabId, requestId) : continueRequest(tabId, requestId);
+  }));
+}
+
 // Get response body
-async function getResponseBody(tabId, requestId, port) {
-  const target = { tabId };
+async function getResponseBody(tabId, requestId, port, networkId, sessionId) {
+  const target = sessionId ? { tabId, sessionId } : { tabId };
   
   // Check if port is still connected
   if (!port) {
@@ -408,6 +1882,7 @@ async function getResponseBody(tabId, requestId, port) {
       try {
         port.postMessage({
           type: 'RESPONSE_BODY',
+          tabId: tabId,
           requestId: requestId,
           body: result.body,
           base64Encoded: result.base64Encoded
@@ -424,14 +1899,15 @@ async function getResponseBody(tabId, requestId, port) {
       // Fallback to Network API
     }
     
-    // Fallback to Network.getResponseBody
+    // Fallback to Network.getResponseBody (uses the network request ID)
     const result = await chrome.debugger.sendCommand(target, 'Network.getResponseBody', {
-      requestId: requestId
+      requestId: networkId || requestId
     });
     
     try {
       port.postMessage({
         type: 'RESPONSE_BODY',
+        tabId: tabId,
         requestId: requestId,
         body: result.body,
         base64Encoded: result.base64Encoded
@@ -449,6 +1925,7 @@ async function getResponseBody(tabId, requestId, port) {
     try {
       port.postMessage({
         type: 'RESPONSE_BODY',
+        tabId: tabId,
         requestId: requestId,
         body: '',
         base64Encoded: false,
@@ -476,6 +1953,7 @@ function getStatusText(code) {
     401: 'Unauthorized',
     403: 'Forbidden',
     404: 'Not Found',
+    429: 'Too Many Requests',
     500: 'Internal Server Error',
     502: 'Bad Gateway',
     503: 'Service Unavailable'
@@ -485,21 +1963,88 @@ function getStatusText(code) {
 }
 
 // Handle debugger detach (e.g., user closes DevTools)
-chrome.debugger.onDetach.addListener((source, reason) => {
+chrome.debugger.onDetach.addListener(async (source, reason) => {
+  await sessionRestored;
   const tabId = source.tabId;
   
   if (attachedTabs.has(tabId)) {
     const tabData = attachedTabs.get(tabId);
     try {
-      tabData.port.postMessage({ type: 'DEBUGGER_DETACHED', reason });
+      tabData.port.postMessage({ type: 'DEBUGGER_DETACHED', tabId, reason });
     } catch (e) {
       // Port already disconnected, that's fine
     }
+    
+    // A closed tab takes its requests with it; otherwise the browser resumes
+    // them as the debugger goes away
+    releasePausedRequests(tabId, reason === 'target_closed' ? 'failed' : 'continued');
     attachedTabs.delete(tabId);
+    persistSession();
+    chrome.storage.session.remove(harReplayStorageKey(tabId));
+  }
+});
+
+// Follow popups and new tabs opened by an attached tab (window.open, OAuth and payment flows)
+chrome.tabs.onCreated.addListener(async (tab) => {
+  await sessionRestored;
+  const opener = tab.openerTabId !== undefined ? attachedTabs.get(tab.openerTabId) : undefined;
+  if (opener && opener.autoAttach && opener.port) {
+    attachDebugger(tab.id, opener.port, tab.openerTabId);
   }
-  
-  // Clean up
-  pendingRequests.clear();
-  requestData.clear();
 });
 
+// Resolve the paused requests of a tab, or of one of its frame/worker sessions, so none
+// hang, and tell the panel how they ended. Other attached tabs are left alone
+// resolution: 'continued' continues them unchanged while the debugger can still reach them,
+// 'failed' reports requests that went away with their tab or frame
+async function releasePausedRequests(tabId, resolution, sessionId) {
+  const tabData = attachedTabs.get(tabId);
+  if (!tabData) {
+    return;
+  }
+  
+  const released = [];
+  tabData.pendingRequests.forEach((pending, requestId) => {
+    if (!sessionId || pending.target.sessionId === sessionId) {
+      released.push({ requestId, pending });
+      tabData.pendingRequests.delete(requestId);
+    }
+  });
+  tabData.requestData.forEach((lifecycle, networkId) => {
+    if (!sessionId || lifecycle.sessionId === sessionId) {
+      tabData.requestData.delete(networkId);
+    }
+  });
+  
+  if (released.length === 0) {
+    return;
+  }
+  persistSession();
+  
+  if (resolution === 'continued') {
+    for (const { pending } of released) {
+      try {
+        if (pending.auth) {
+          await chrome.debugger.sendCommand(pending.target, 'Fetch.continueWithAuth', {
+            requestId: pending.params.requestId,
+            authChallengeResponse: { response: 'Default' }
+          });
+        } else {
+          await chrome.debugger.sendCommand(pending.target, 'Fetch.continueRequest', {
+            requestId: pending.params.requestId
+          });
+        }
+      } catch (error) {
+        // Debugger already gone, the browser resumed the request itself
+      }
+    }
+  }
+  
+  safePostMessage(tabData.port, {
+    type: 'REQUESTS_RELEASED',
+    tabId: tabId,
+    requestIds: released.map(({ requestId }) => requestId),
+    resolution: resolution
+  });
+}
+
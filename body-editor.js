@@ -0,0 +1,442 @@
+/**
+ * NetCepter Pro - Body Editor
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Text editor for textual bodies that decode losslessly, hex viewer/editor for
+ * everything else. Bodies are kept as base64 so binary content is never corrupted.
+ * JSON bodies also get a tree view, pretty-print/minify and validation, form bodies
+ * a field table. Requires encoding.js, json-tree.js and form-body.js.
+ */
+
+// Editor state by textarea ID: { mode, base64, contentType, json, form, renderedValue,
+// treeValue, treeEdited, jsonIndent, formFields, formEdited }
+const bodyEditors = new Map();
+
+// Get a request body as base64 (captured bytes when available, else the text)
+function getRequestBodyBase64(request) {
+  if (request.postDataBase64 !== undefined) {
+    return request.postDataBase64;
+  }
+  return textToBase64(request.postData || '');
+}
+
+// Create HTML for a body editor
+// Without a body (base64 undefined) the placeholder is shown and editing is disabled
+function createBodyEditorHtml(id, label, base64, contentType, disabled, placeholder) {
+  const text = base64 === undefined ? null : base64ToText(base64);
+  const json = isJsonContentType(contentType);
+  const validJson = text !== null && json && parseJsonBody(text).error === undefined;
+  const form = getFormEncoding(contentType);
+  const formFields = form && base64 !== undefined ? parseFormBody(base64, contentType) : null;
+
+  // Form bodies open as a field table when they can be read as one
+  let mode = text !== null && isTextualContentType(contentType) ? 'text' : 'hex';
+  if (formFields) {
+    mode = 'form';
+  }
+
+  bodyEditors.set(id, { mode, base64, contentType, json, form, formFields, formEdited: false, renderedValue: null });
+
+  let content = placeholder || '';
+  if (base64 !== undefined) {
+    content = mode === 'hex' ? bytesToHexDump(base64ToBytes(base64)) : text || '';
+  }
+
+  const meta = [];
+  if (base64 !== undefined) meta.push(formatBytes(base64ByteLength(base64)));
+  if (contentType) meta.push(contentType.split(';')[0].trim());
+
+  return `
+    <div class="detail-field body-editor" data-body-editor="${id}">
+      <div class="body-editor-header">
+        <label for="${id}">${escapeHtml(label)}</label>
+        <span class="body-editor-meta">${escapeHtml(meta.join(' · '))}</span>
+        ${json ? `<div class="body-mode-toggle body-json-actions" ${base64 === undefined ? 'style="display: none;"' : ''}>
+          <button type="button" class="body-mode-btn" data-format="2" ${disabled || mode !== 'text' ? 'disabled' : ''}>Pretty</button>
+          <button type="button" class="body-mode-btn" data-format="0" ${disabled || mode !== 'text' ? 'disabled' : ''}>Minify</button>
+        </div>` : ''}
+        <div class="body-mode-toggle" ${base64 === undefined ? 'style="display: none;"' : ''}>
+          ${form ? `<button type="button" class="body-mode-btn ${mode === 'form' ? 'active' : ''}" data-mode="form" ${formFields ? '' : 'disabled title="Body can\'t be read as form data"'}>Form</button>` : ''}
+          <button type="button" class="body-mode-btn ${mode === 'text' ? 'active' : ''}" data-mode="text" ${text === null ? 'disabled title="Body is not valid UTF-8 text"' : ''}>Text</button>
+          ${json ? `<button type="button" class="body-mode-btn" data-mode="tree" ${validJson ? '' : 'disabled title="Body is not valid JSON"'}>Tree</button>` : ''}
+          <button type="button" class="body-mode-btn ${mode === 'hex' ? 'active' : ''}" data-mode="hex">Hex</button>
+        </div>
+      </div>
+      <textarea id="${id}" class="${mode === 'hex' ? 'hex-editor' : ''}" spellcheck="false" ${disabled || base64 === undefined ? 'disabled' : ''} ${mode === 'form' ? 'style="display: none;"' : ''}>${escapeHtml(content)}</textarea>
+      ${form ? `<div class="form-body-editor" id="${id}-form" ${mode === 'form' ? '' : 'style="display: none;"'}>
+        ${formFields ? createFormFieldsHtml(formFields, disabled) : ''}
+      </div>` : ''}
+      ${json ? `<div class="json-tree" id="${id}-tree" style="display: none;"></div>
+      <div class="body-editor-status" id="${id}-status"></div>` : ''}
+    </div>
+  `;
+}
+
+// Setup mode toggles for body editors after their HTML was inserted
+function setupBodyEditors(container) {
+  (container || document).querySelectorAll('.body-editor').forEach(editor => {
+    const id = editor.dataset.bodyEditor;
+    const state = bodyEditors.get(id);
+    const textarea = document.getElementById(id);
+    if (!state || !textarea) return;
+
+    // The textarea normalizes line breaks, remember what it shows so an
+    // unedited body is returned byte-for-byte
+    state.renderedValue = textarea.value;
+
+    editor.querySelectorAll('.body-mode-btn[data-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        switchBodyMode(id, btn.dataset.mode);
+      });
+    });
+
+    if (state.json) {
+      editor.querySelectorAll('.body-mode-btn[data-format]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          formatJsonBody(id, Number(btn.dataset.format));
+        });
+      });
+      textarea.addEventListener('input', () => validateJsonBody(id));
+      validateJsonBody(id);
+    }
+
+    if (state.form) {
+      setupFormEditor(id);
+    }
+  });
+
+  updateContinueBlocked();
+}
+
+// Switch a body editor between text and hex mode, keeping unsaved edits
+function switchBodyMode(id, mode) {
+  const state = bodyEditors.get(id);
+  const textarea = document.getElementById(id);
+  if (!state || !textarea || state.mode === mode) return;
+
+  let base64;
+  try {
+    base64 = readBodyEditor(id);
+  } catch (e) {
+    showNotification(e.message, 'error');
+    return;
+  }
+
+  if (mode === 'form') {
+    const fields = parseFormBody(base64, state.contentType);
+    if (!fields) {
+      showNotification(`Body can't be read as form data, staying in ${state.mode} mode`, 'warning');
+      return;
+    }
+    showFormFields(id, fields);
+  } else if (mode === 'text' || mode === 'tree') {
+    const text = base64ToText(base64);
+    if (text === null) {
+      showNotification(`Body is not valid UTF-8 text, staying in ${state.mode} mode`, 'warning');
+      return;
+    }
+    if (mode === 'tree') {
+      const { value, error } = parseJsonBody(text);
+      if (error !== undefined) {
+        showNotification(`Body is not valid JSON, staying in ${state.mode} mode`, 'warning');
+        return;
+      }
+      showJsonTree(id, value, text);
+    }
+    textarea.value = text;
+  } else {
+    textarea.value = bytesToHexDump(base64ToBytes(base64));
+  }
+
+  state.mode = mode;
+  state.base64 = base64;
+  state.renderedValue = textarea.value;
+  textarea.classList.toggle('hex-editor', mode === 'hex');
+  textarea.style.display = mode === 'tree' || mode === 'form' ? 'none' : '';
+
+  const editor = textarea.closest('.body-editor');
+  const tree = document.getElementById(`${id}-tree`);
+  if (tree) {
+    tree.style.display = mode === 'tree' ? '' : 'none';
+  }
+  const formEditor = document.getElementById(`${id}-form`);
+  if (formEditor) {
+    formEditor.style.display = mode === 'form' ? '' : 'none';
+  }
+  editor.querySelectorAll('.body-mode-btn[data-mode]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+  });
+  editor.querySelectorAll('.body-mode-btn[data-format]').forEach(btn => {
+    btn.disabled = textarea.disabled || mode !== 'text';
+  });
+  if (state.json) {
+    validateJsonBody(id);
+  }
+}
+
+// Render the tree of a JSON body, edits are kept in the editor state
+function showJsonTree(id, value, text) {
+  const state = bodyEditors.get(id);
+  const tree = document.getElementById(`${id}-tree`);
+
+  state.treeValue = value;
+  state.treeEdited = false;
+  // Edited trees are written back in the body's own style, indented or minified
+  const indent = text.match(/\n( +|\t)\S/);
+  state.jsonIndent = indent ? indent[1] : 0;
+
+  // Bodies that can't be edited get a tree that can't be either
+  const textarea = document.getElementById(id);
+  renderJsonTree(tree, value, textarea.disabled ? null : (updated) => {
+    state.treeValue = updated;
+    state.treeEdited = true;
+  });
+}
+
+// Parse a JSON body, returns { value } or { error } with the line and column of the problem
+function parseJsonBody(text) {
+  try {
+    return { value: JSON.parse(text) };
+  } catch (e) {
+    // Some messages quote the whole body, keep only the reason
+    const message = e.message.replace(/, "[\s\S]*" is not valid JSON$/, '');
+    const position = message.match(/ at position (\d+)/);
+    if (!position) {
+      return { error: message };
+    }
+    const before = text.slice(0, Number(position[1])).split('\n');
+    return { error: `${message.slice(0, position.index)} at line ${before.length}, column ${before[before.length - 1].length + 1}` };
+  }
+}
+
+// Integers in a JSON text that JSON.parse can't represent exactly
+function findUnsafeJsonNumbers(text) {
+  const unsafe = [];
+  // Strings are matched too, so digits inside them are skipped
+  const pattern = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (/^-?\d+$/.test(match[0]) && !Number.isSafeInteger(Number(match[0]))) {
+      unsafe.push(match[0]);
+    }
+  }
+  return unsafe;
+}
+
+// Check if a content type is JSON (application/json, problem+json, ...)
+function isJsonContentType(contentType) {
+  if (!contentType) {
+    return false;
+  }
+  return /[/+]json$/.test(contentType.split(';')[0].trim().toLowerCase());
+}
+
+// Show whether a JSON body in text mode is valid
+// Only edited text blocks sending, an unedited body is sent as it came in
+function validateJsonBody(id) {
+  const state = bodyEditors.get(id);
+  const textarea = document.getElementById(id);
+  const status = document.getElementById(`${id}-status`);
+  if (!state || !textarea || !status) return;
+
+  const editor = textarea.closest('.body-editor');
+  const error = state.mode === 'text' ? parseJsonBody(textarea.value).error : undefined;
+  const edited = textarea.value !== state.renderedValue;
+
+  editor.classList.toggle('invalid', error !== undefined && edited);
+  status.textContent = error === undefined ? '' : `${edited ? 'Invalid JSON' : 'Not valid JSON, sent unchanged'}: ${error}`;
+
+  // Tree edits and formatting go through JSON.parse, which rounds large integers
+  const unsafe = error === undefined && state.mode !== 'hex' ? findUnsafeJsonNumbers(textarea.value) : [];
+  if (unsafe.length > 0) {
+    status.textContent = `Integers beyond ±2^53 (${unsafe.slice(0, 3).join(', ')}${unsafe.length > 3 ? ', …' : ''}) would be rounded by tree edits and Pretty/Minify, edit them in text mode`;
+  }
+
+  const treeBtn = editor.querySelector('.body-mode-btn[data-mode="tree"]');
+  if (treeBtn && state.mode === 'text') {
+    treeBtn.disabled = error !== undefined;
+    treeBtn.title = error !== undefined ? 'Body is not valid JSON' : '';
+  }
+  updateContinueBlocked();
+}
+
+// Pretty-print (indent 2) or minify a JSON body in text mode
+function formatJsonBody(id, indent) {
+  const textarea = document.getElementById(id);
+  const { value, error } = parseJsonBody(textarea.value);
+  if (error !== undefined) {
+    showNotification(`Can't format invalid JSON: ${error}`, 'error');
+    return;
+  }
+  textarea.value = JSON.stringify(value, null, indent);
+  validateJsonBody(id);
+}
+
+// Disable "Continue with Modifications" while a body in the details view is invalid JSON
+function updateContinueBlocked() {
+  const continueBtn = document.getElementById('continue-modified-btn');
+  if (!continueBtn) return;
+
+  const invalid = document.querySelector('#details-content .body-editor.invalid');
+  continueBtn.disabled = Boolean(invalid);
+  continueBtn.title = invalid ? 'Fix the invalid JSON body first' : '';
+}
+
+// Read a body editor as base64
+// Returns undefined when there is no editor or no body, throws on invalid hex or JSON
+function readBodyEditor(id) {
+  const state = bodyEditors.get(id);
+  const textarea = document.getElementById(id);
+  if (!state || !textarea || state.base64 === undefined) {
+    return undefined;
+  }
+
+  if (state.mode === 'tree') {
+    return state.treeEdited
+      ? textToBase64(JSON.stringify(state.treeValue, null, state.jsonIndent))
+      : state.base64;
+  }
+
+  if (state.mode === 'form') {
+    if (!state.formEdited) {
+      return state.base64;
+    }
+    // A new multipart boundary (when the old one shows up in the data) is kept in the state
+    const serialized = serializeFormBody(readFormFields(id), state.contentType);
+    state.contentType = serialized.contentType;
+    return serialized.base64;
+  }
+
+  if (textarea.value === state.renderedValue) {
+    return state.base64;
+  }
+
+  if (state.mode === 'text') {
+    // Hex mode sends whatever bytes were typed, for deliberately broken JSON
+    const error = state.json ? parseJsonBody(textarea.value).error : undefined;
+    if (error !== undefined) {
+      throw new Error(`Invalid JSON body: ${error}`);
+    }
+    return textToBase64(textarea.value);
+  }
+  return bytesToBase64(hexDumpToBytes(textarea.value));
+}
+
+// Content type of a body editor's body, with the multipart boundary it was serialized with
+function getBodyEditorContentType(id) {
+  const state = bodyEditors.get(id);
+  return state ? state.contentType : undefined;
+}
+
+// Whether a body editor's body was rebuilt from edits in Form mode
+function isFormBodyEdited(id) {
+  const state = bodyEditors.get(id);
+  return Boolean(state && state.mode === 'form' && state.formEdited);
+}
+
+// Create HTML for the field table of a form body
+function createFormFieldsHtml(fields, disabled) {
+  let html = '';
+  fields.forEach((field, index) => {
+    html += createFormFieldRowHtml(field, index, disabled);
+  });
+  if (!disabled) {
+    html += '<button type="button" class="add-form-field-btn">+ Add Field</button>';
+  }
+  return html;
+}
+
+// Create HTML for a form field, file parts show their metadata instead of the contents
+// index is the field's position in the parsed body, undefined for added fields
+function createFormFieldRowHtml(field, index, disabled) {
+  const removeBtn = disabled ? '' : '<button class="btn-text remove-form-field-btn" type="button" title="Remove field"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>';
+  let valueHtml;
+
+  if (field.base64 !== undefined) {
+    const meta = [field.contentType || 'binary', formatBytes(base64ByteLength(field.base64))];
+    valueHtml = `
+      <div class="form-field-file">
+        ${field.filename !== undefined ? `<input type="text" class="form-field-filename" value="${escapeHtml(field.filename)}" placeholder="Filename" ${disabled ? 'disabled' : ''}>` : ''}
+        <span class="form-field-meta">${escapeHtml(meta.join(' · '))}</span>
+      </div>
+    `;
+  } else {
+    valueHtml = `<textarea class="form-field-value" rows="1" spellcheck="false" placeholder="Value" ${disabled ? 'disabled' : ''}>${escapeHtml(field.value)}</textarea>`;
+  }
+
+  return `
+    <div class="form-field-row" ${index !== undefined ? `data-index="${index}"` : ''}>
+      <input type="text" class="form-field-name" value="${escapeHtml(field.name)}" placeholder="Name" ${disabled ? 'disabled' : ''}>
+      ${valueHtml}
+      ${removeBtn}
+    </div>
+  `;
+}
+
+// Render the field table of a form body
+function showFormFields(id, fields) {
+  const state = bodyEditors.get(id);
+  const formEditor = document.getElementById(`${id}-form`);
+  const textarea = document.getElementById(id);
+
+  state.formFields = fields;
+  state.formEdited = false;
+  formEditor.innerHTML = createFormFieldsHtml(fields, textarea.disabled);
+}
+
+// Track edits of the field table, and add and remove fields
+// Listeners sit on the table container so re-rendered rows keep working
+function setupFormEditor(id) {
+  const state = bodyEditors.get(id);
+  const formEditor = document.getElementById(`${id}-form`);
+  if (!formEditor) return;
+
+  formEditor.addEventListener('input', () => {
+    state.formEdited = true;
+  });
+
+  formEditor.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.remove-form-field-btn');
+    if (removeBtn) {
+      removeBtn.closest('.form-field-row').remove();
+      state.formEdited = true;
+    } else if (e.target.closest('.add-form-field-btn')) {
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = createFormFieldRowHtml({ name: '', value: '' }, undefined, false);
+      formEditor.insertBefore(wrapper.firstElementChild, e.target.closest('.add-form-field-btn'));
+      state.formEdited = true;
+    }
+  });
+}
+
+// Read the field table back into fields, file parts keep their original bytes
+function readFormFields(id) {
+  const state = bodyEditors.get(id);
+  const fields = [];
+
+  document.querySelectorAll(`#${id}-form .form-field-row`).forEach(row => {
+    const original = row.dataset.index !== undefined ? state.formFields[Number(row.dataset.index)] : undefined;
+    const name = row.querySelector('.form-field-name').value;
+
+    if (original && original.base64 !== undefined) {
+      const filename = row.querySelector('.form-field-filename');
+      fields.push({ ...original, name, filename: filename ? filename.value : original.filename });
+    } else {
+      fields.push({
+        name,
+        value: row.querySelector('.form-field-value').value,
+        contentType: original ? original.contentType : undefined
+      });
+    }
+  });
+
+  return fields;
+}
+
+// Format a byte count for display
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
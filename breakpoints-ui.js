@@ -0,0 +1,295 @@
+/**
+ * NetCepter Pro - Breakpoints Editor
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Create, edit and enable conditional breakpoints, set pause timeouts and
+ * show their countdowns. Breakpoints and the global pause timeout are stored in
+ * chrome.storage.local and evaluated by the background worker.
+ */
+
+let breakpointsCache = [];
+let pauseTimeoutCache = createDefaultPauseTimeout();
+let timeoutMocksCache = []; // Mocks a timeout can fulfill with
+
+// Open the breakpoints editor
+function openBreakpointsEditor() {
+  chrome.storage.local.get(['breakpoints', 'pauseTimeout', 'mocks'], (result) => {
+    breakpointsCache = result.breakpoints || [];
+    pauseTimeoutCache = result.pauseTimeout || createDefaultPauseTimeout();
+    timeoutMocksCache = result.mocks || [];
+    openModal('Breakpoints', '<div id="breakpoints-view"></div>');
+    renderBreakpointList();
+  });
+}
+
+// Persist breakpoints to storage
+function saveBreakpoints() {
+  chrome.storage.local.set({ breakpoints: breakpointsCache });
+}
+
+// Create HTML for the seconds/action/mock fields of a pause timeout
+function createPauseTimeoutFieldsHtml(prefix, timeout, placeholder) {
+  let html = '<div class="inline-fields">';
+  html += `<input type="number" id="${prefix}-seconds" min="0" value="${timeout.seconds || ''}" placeholder="${escapeHtml(placeholder)}">`;
+  html += `<select id="${prefix}-action">`;
+  Object.entries(PAUSE_TIMEOUT_ACTIONS).forEach(([value, label]) => {
+    html += `<option value="${value}" ${timeout.action === value ? 'selected' : ''}>${label}</option>`;
+  });
+  html += '</select>';
+  html += `<select id="${prefix}-mock" ${timeout.action !== 'mock' ? 'style="display: none;"' : ''}>`;
+  if (timeoutMocksCache.length === 0) {
+    html += '<option value="">No mocks saved</option>';
+  }
+  timeoutMocksCache.forEach(mock => {
+    html += `<option value="${escapeHtml(mock.id)}" ${timeout.mockId === mock.id ? 'selected' : ''}>${escapeHtml(mock.name)}</option>`;
+  });
+  html += '</select></div>';
+  return html;
+}
+
+// Show the mock choice only for the mock action, and report changes
+function setupPauseTimeoutFields(prefix, onChange) {
+  const action = document.getElementById(`${prefix}-action`);
+  const mock = document.getElementById(`${prefix}-mock`);
+
+  action.addEventListener('change', () => {
+    mock.style.display = action.value === 'mock' ? '' : 'none';
+  });
+
+  if (onChange) {
+    [`${prefix}-seconds`, `${prefix}-action`, `${prefix}-mock`].forEach(id => {
+      document.getElementById(id).addEventListener('change', onChange);
+    });
+  }
+}
+
+// Read the pause timeout fields
+function readPauseTimeoutFields(prefix) {
+  return {
+    seconds: Math.max(0, parseInt(document.getElementById(`${prefix}-seconds`).value) || 0),
+    action: document.getElementById(`${prefix}-action`).value,
+    mockId: document.getElementById(`${prefix}-mock`).value
+  };
+}
+
+// Status label of a paused request, with the time left before its pause timeout
+function formatPausedLabel(request) {
+  if (!request.pauseTimeout) {
+    return 'PAUSED';
+  }
+  const seconds = Math.max(0, Math.ceil((request.pauseTimeout.at - Date.now()) / 1000));
+  return `PAUSED ${seconds}s`;
+}
+
+// Refresh the countdowns of paused requests in the list, called every second
+function updatePauseCountdowns() {
+  requests.forEach(request => {
+    if (!request.isPaused || !request.pauseTimeout) return;
+    const status = document.querySelector(`[data-request-id="${request.id}"] .request-status`);
+    if (status) {
+      status.textContent = formatPausedLabel(request);
+    }
+  });
+}
+
+// Describe how a pause timeout resolved a request
+function describeTimedOut(request) {
+  if (request.timedOut === 'block') return 'Blocked automatically, nobody acted on it in time';
+  if (request.timedOut === 'mock') return `Fulfilled with mock "${request.mockName}", nobody acted on it in time`;
+  return 'Continued automatically, nobody acted on it in time';
+}
+
+// Render the list of breakpoints
+function renderBreakpointList() {
+  const view = document.getElementById('breakpoints-view');
+  if (!view) return;
+
+  let html = '<div class="modal-toolbar">';
+  html += '<button class="btn btn-primary" id="new-breakpoint-btn">+ New Breakpoint</button>';
+  html += '</div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Pause Timeout (all paused requests, unless their breakpoint sets one)</label>';
+  html += createPauseTimeoutFieldsHtml('pause-timeout', pauseTimeoutCache, 'Seconds, empty to wait forever');
+  html += '</div></div>';
+
+  if (breakpointsCache.length === 0) {
+    html += `
+      <div class="empty-state">
+        <p>No breakpoints</p>
+        <small>Without breakpoints every request matching the filters pauses</small>
+      </div>
+    `;
+  } else {
+    html += '<p class="modal-text">Only requests matching an enabled breakpoint pause, everything else continues automatically.</p>';
+    html += '<div class="library-list">';
+    breakpointsCache.forEach((bp, index) => {
+      html += `
+        <div class="library-item" data-index="${index}">
+          <label class="toggle-switch" title="Enable/Disable Breakpoint">
+            <input type="checkbox" class="breakpoint-enabled" ${bp.enabled ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <div class="library-item-info">
+            <div class="library-item-title">${escapeHtml(bp.name)} <span class="badge">${escapeHtml(BREAKPOINT_STAGES[bp.stage || 'both'])}</span></div>
+            <div class="library-item-meta">${escapeHtml(describeBreakpoint(bp))}</div>
+          </div>
+          <div class="library-item-actions">
+            <button class="btn btn-secondary breakpoint-edit">Edit</button>
+            <button class="btn btn-text breakpoint-delete" title="Delete breakpoint">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+  }
+
+  view.innerHTML = html;
+
+  document.getElementById('new-breakpoint-btn').addEventListener('click', () => {
+    renderBreakpointForm(createEmptyBreakpoint(), -1);
+  });
+
+  setupPauseTimeoutFields('pause-timeout', () => {
+    pauseTimeoutCache = readPauseTimeoutFields('pause-timeout');
+    chrome.storage.local.set({ pauseTimeout: pauseTimeoutCache });
+  });
+
+  view.querySelectorAll('.library-item').forEach(item => {
+    const index = parseInt(item.dataset.index);
+
+    item.querySelector('.breakpoint-enabled').addEventListener('change', (e) => {
+      breakpointsCache[index].enabled = e.target.checked;
+      saveBreakpoints();
+    });
+
+    item.querySelector('.breakpoint-edit').addEventListener('click', () => {
+      renderBreakpointForm(JSON.parse(JSON.stringify(breakpointsCache[index])), index);
+    });
+
+    item.querySelector('.breakpoint-delete').addEventListener('click', () => {
+      breakpointsCache.splice(index, 1);
+      saveBreakpoints();
+      renderBreakpointList();
+    });
+  });
+}
+
+// Render the create/edit form for a breakpoint (index -1 for a new breakpoint)
+function renderBreakpointForm(bp, index) {
+  const view = document.getElementById('breakpoints-view');
+  if (!view) return;
+
+  const match = bp.match || {};
+  let html = '';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Name</label>';
+  html += `<input type="text" id="bp-name" value="${escapeHtml(bp.name)}"></div>`;
+  html += '<div class="detail-field"><label>Stop At</label><select id="bp-stage">';
+  Object.entries(BREAKPOINT_STAGES).forEach(([value, label]) => {
+    html += `<option value="${value}" ${(bp.stage || 'both') === value ? 'selected' : ''}>${label}</option>`;
+  });
+  html += '</select></div>';
+  html += '</div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Conditions</div>';
+  html += '<div class="detail-field"><label>URL Pattern</label>';
+  html += '<div class="inline-fields">';
+  html += `<input type="text" id="bp-url" value="${escapeHtml(match.url)}" placeholder="*api.example.com/*">`;
+  html += '<select id="bp-url-type">';
+  html += `<option value="glob" ${match.urlType !== 'regex' ? 'selected' : ''}>Glob</option>`;
+  html += `<option value="regex" ${match.urlType === 'regex' ? 'selected' : ''}>Regex</option>`;
+  html += '</select></div></div>';
+
+  html += '<div class="detail-field"><label>Method</label><select id="bp-method">';
+  html += '<option value="">Any</option>';
+  HTTP_METHODS.forEach(m => {
+    html += `<option value="${m}" ${match.method === m ? 'selected' : ''}>${m}</option>`;
+  });
+  html += '</select></div>';
+
+  html += '<div class="detail-field"><label>Resource Type</label><select id="bp-resource-type">';
+  html += '<option value="">Any</option>';
+  RESOURCE_TYPES.forEach(t => {
+    html += `<option value="${t}" ${match.resourceType === t ? 'selected' : ''}>${t}</option>`;
+  });
+  html += '</select></div>';
+
+  html += '<div class="detail-field"><label>Header</label>';
+  html += '<div class="inline-fields">';
+  html += `<input type="text" id="bp-header-name" value="${escapeHtml(match.headerName)}" placeholder="Header name">`;
+  html += `<input type="text" id="bp-header-value" value="${escapeHtml(match.headerValue)}" placeholder="Value contains (optional)">`;
+  html += '</div></div>';
+
+  html += '<div class="detail-field"><label>Body Contains (request body, or response body at the response stage)</label>';
+  html += `<input type="text" id="bp-body-contains" value="${escapeHtml(match.bodyContains)}" placeholder="Substring"></div>`;
+  html += '</div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Pause Timeout</label>';
+  html += createPauseTimeoutFieldsHtml('bp-timeout', bp.timeout || createDefaultPauseTimeout(), 'Seconds, empty for the global timeout');
+  html += '</div></div>';
+
+  html += '<div class="form-actions">';
+  html += '<button class="btn btn-secondary" id="bp-cancel-btn">Cancel</button>';
+  html += '<button class="btn btn-success" id="bp-save-btn">Save Breakpoint</button>';
+  html += '</div>';
+
+  view.innerHTML = html;
+
+  setupPauseTimeoutFields('bp-timeout');
+  document.getElementById('bp-cancel-btn').addEventListener('click', renderBreakpointList);
+
+  document.getElementById('bp-save-btn').addEventListener('click', () => {
+    const updated = readBreakpointForm(bp);
+
+    if (updated.timeout.seconds > 0 && updated.timeout.action === 'mock' && !updated.timeout.mockId) {
+      showNotification('Choose the mock to fulfill timed out requests with', 'error');
+      return;
+    }
+
+    if (updated.match.urlType === 'regex' && updated.match.url) {
+      try {
+        new RegExp(updated.match.url);
+      } catch (e) {
+        showNotification('Invalid regular expression: ' + e.message, 'error');
+        return;
+      }
+    }
+
+    if (index === -1) {
+      breakpointsCache.push(updated);
+    } else {
+      breakpointsCache[index] = updated;
+    }
+    saveBreakpoints();
+    renderBreakpointList();
+  });
+}
+
+// Read the breakpoint form into a breakpoint object
+function readBreakpointForm(bp) {
+  return {
+    ...bp,
+    name: document.getElementById('bp-name').value.trim() || 'Untitled Breakpoint',
+    stage: document.getElementById('bp-stage').value,
+    timeout: readPauseTimeoutFields('bp-timeout'),
+    match: {
+      url: document.getElementById('bp-url').value.trim(),
+      urlType: document.getElementById('bp-url-type').value,
+      method: document.getElementById('bp-method').value,
+      resourceType: document.getElementById('bp-resource-type').value,
+      headerName: document.getElementById('bp-header-name').value.trim(),
+      headerValue: document.getElementById('bp-header-value').value.trim(),
+      bodyContains: document.getElementById('bp-body-contains').value
+    }
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * NetCepter Pro - Breakpoints
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Conditional breakpoints: when any are enabled, only matching traffic pauses
+ * in the panel and everything else continues in the background worker.
+ * Paused requests can time out, the background worker then resolves them itself.
+ * Requires rules.js.
+ */
+
+const BREAKPOINT_STAGES = {
+  request: 'Request',
+  response: 'Response',
+  both: 'Request & Response'
+};
+
+// What happens to a paused request nobody acted on in time
+const PAUSE_TIMEOUT_ACTIONS = {
+  continue: 'Continue',
+  block: 'Block',
+  mock: 'Fulfill with mock'
+};
+
+// Create a pause timeout (0 seconds: never time out, or use the global timeout for a breakpoint)
+function createDefaultPauseTimeout() {
+  return { seconds: 0, action: 'continue', mockId: '' };
+}
+
+// Get the timeout for a request paused by a breakpoint (or by the filters alone)
+// A breakpoint's own timeout wins over the global one; null when neither is set
+function resolvePauseTimeout(breakpoint, globalTimeout) {
+  const own = breakpoint && breakpoint.timeout;
+  const timeout = own && own.seconds > 0 ? own : globalTimeout;
+  return timeout && timeout.seconds > 0 ? timeout : null;
+}
+
+// Create an empty breakpoint with default values
+function createEmptyBreakpoint() {
+  return {
+    id: 'bp-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+    name: 'New Breakpoint',
+    enabled: true,
+    stage: 'both',
+    timeout: createDefaultPauseTimeout(),
+    match: {
+      url: '',
+      urlType: 'glob',
+      method: '',
+      resourceType: '',
+      headerName: '',
+      headerValue: '',
+      bodyContains: ''
+    }
+  };
+}
+
+// Check if a breakpoint stops at the given stage ('request' or 'response')
+function breakpointAppliesToStage(breakpoint, stage) {
+  return (breakpoint.stage || 'both') === 'both' || breakpoint.stage === stage;
+}
+
+// Check if any enabled breakpoint needs the body to decide
+function breakpointsNeedBody(breakpoints) {
+  return breakpoints.some(bp => bp.match && bp.match.bodyContains);
+}
+
+// Find the first enabled breakpoint for the stage that matches the request
+// request: { url, method, resourceType, headers, body }
+function findMatchingBreakpoint(breakpoints, request, stage) {
+  return (breakpoints || []).find(bp => {
+    if (!bp.enabled || !breakpointAppliesToStage(bp, stage)) {
+      return false;
+    }
+    if (!matchesRule(bp, request)) {
+      return false;
+    }
+
+    const bodyContains = bp.match && bp.match.bodyContains;
+    if (bodyContains && !(request.body || '').toLowerCase().includes(bodyContains.toLowerCase())) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+// Short human-readable summary of a breakpoint for list display
+function describeBreakpoint(breakpoint) {
+  const match = breakpoint.match || {};
+  const parts = [];
+
+  parts.push(match.url ? `${match.urlType === 'regex' ? 'regex' : 'url'}: ${match.url}` : 'any URL');
+  if (match.method) parts.push(match.method);
+  if (match.resourceType) parts.push(match.resourceType);
+  if (match.headerName) parts.push(`header: ${match.headerName}`);
+  if (match.bodyContains) parts.push(`body contains "${match.bodyContains}"`);
+  if (breakpoint.timeout && breakpoint.timeout.seconds > 0) {
+    parts.push(`${PAUSE_TIMEOUT_ACTIONS[breakpoint.timeout.action].toLowerCase()} after ${breakpoint.timeout.seconds}s`);
+  }
+
+  return parts.join(', ');
+}
@@ -0,0 +1,172 @@
+/**
+ * NetCepter Pro - Bulk Actions
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Multi-select in the request list (Ctrl/Cmd-click, Shift-click, select all
+ * filtered) and commands that continue or block many paused requests with one
+ * batched message to the background worker. Uses the panel's `requests` map,
+ * `selectedRequestId`, `port`, `matchesFilters`, list helpers and `displayRequestDetails`.
+ */
+
+// Selected entries, including the one shown in the details
+let selectedRequestIds = new Set();
+
+// Entry a Shift-click range starts from
+let selectionAnchorId = null;
+
+// Setup the bulk action buttons and the select-all shortcut
+function setupBulkActions() {
+  document.getElementById('select-all-btn').addEventListener('click', selectAllFiltered);
+  document.getElementById('bulk-continue-btn').addEventListener('click', () => runBulkAction('continue', 'selection'));
+  document.getElementById('bulk-continue-filtered-btn').addEventListener('click', () => runBulkAction('continue', 'filtered'));
+  document.getElementById('bulk-block-btn').addEventListener('click', () => runBulkAction('block', 'selection'));
+
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'a' && !isEditableTarget(e.target) && !document.getElementById('modal-overlay')) {
+      e.preventDefault();
+      selectAllFiltered();
+    }
+  });
+
+  updateBulkActions();
+}
+
+// Check if a key event belongs to a field, where Ctrl+A selects text
+function isEditableTarget(target) {
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+// Handle a click on a request item, extending the selection with Ctrl/Cmd or Shift
+function handleRequestItemClick(event, requestId) {
+  if (event.shiftKey && selectionAnchorId) {
+    const ids = getVisibleRequestIds();
+    const from = ids.indexOf(selectionAnchorId);
+    const to = ids.indexOf(requestId);
+    if (from !== -1 && to !== -1) {
+      window.getSelection()?.removeAllRanges();
+      selectedRequestIds = new Set(ids.slice(Math.min(from, to), Math.max(from, to) + 1));
+      showSelection(requestId);
+      return;
+    }
+  }
+
+  if (event.ctrlKey || event.metaKey) {
+    selectionAnchorId = requestId;
+    if (!selectedRequestIds.has(requestId)) {
+      selectedRequestIds.add(requestId);
+      showSelection(requestId);
+      return;
+    }
+
+    selectedRequestIds.delete(requestId);
+    if (selectedRequestIds.size === 0) {
+      deselectRequest();
+    } else {
+      showSelection(selectedRequestId === requestId ? Array.from(selectedRequestIds).pop() : selectedRequestId);
+    }
+    return;
+  }
+
+  selectRequest(requestId);
+}
+
+// Select every entry shown with the current filters
+function selectAllFiltered() {
+  const ids = getVisibleRequestIds();
+  if (ids.length === 0) return;
+
+  selectedRequestIds = new Set(ids);
+  selectionAnchorId = ids[0];
+  showSelection(selectedRequestIds.has(selectedRequestId) ? selectedRequestId : ids[0]);
+}
+
+// Show the selection in the list, with the details of the entry clicked last
+// The details aren't re-rendered for the entry already shown, that would discard unsaved edits
+function showSelection(primaryId) {
+  const changed = selectedRequestId !== primaryId;
+  selectedRequestId = primaryId;
+
+  document.querySelectorAll('.request-item').forEach(item => {
+    item.classList.toggle('selected', selectedRequestIds.has(item.dataset.requestId));
+  });
+
+  const request = requests.get(primaryId);
+  if (request && changed) {
+    displayRequestDetails(request);
+  }
+  updateBulkActions();
+}
+
+// Get the IDs of the entries shown in the list, in list order
+function getVisibleRequestIds() {
+  return Array.from(document.querySelectorAll('#request-list .request-item'))
+    .filter(item => item.style.display !== 'none' && requests.has(item.dataset.requestId))
+    .map(item => item.dataset.requestId);
+}
+
+// Get the paused entries a bulk command applies to
+// 'selection' means the selected entries when several are selected, every paused entry otherwise
+function getBulkTargets(scope) {
+  const paused = Array.from(requests.values()).filter(request => request.isPaused);
+  if (scope === 'filtered') {
+    return paused.filter(request => matchesFilters(request));
+  }
+  if (selectedRequestIds.size > 1) {
+    return paused.filter(request => selectedRequestIds.has(request.id));
+  }
+  return paused;
+}
+
+// Continue or block paused entries with one message to the background worker
+function runBulkAction(action, scope) {
+  const targets = getBulkTargets(scope);
+  if (targets.length === 0) return;
+
+  try {
+    port.postMessage({
+      type: 'BULK_ACTION',
+      action: action,
+      requests: targets.map(request => ({ tabId: request.tabId, requestId: request.id }))
+    });
+  } catch (e) {
+    showNotification('Not connected to the background worker', 'error');
+    return;
+  }
+
+  targets.forEach(request => {
+    request.isPaused = false;
+    request.status = action === 'block' ? 'blocked' : 'completed';
+    updateRequestInList(request);
+  });
+
+  const selected = requests.get(selectedRequestId);
+  if (selected && targets.includes(selected)) {
+    displayRequestDetails(selected);
+  }
+
+  const verb = action === 'block' ? 'Blocked' : 'Continued';
+  showNotification(`${verb} ${targets.length} paused request${targets.length === 1 ? '' : 's'}`, 'success');
+}
+
+// Update the bulk action buttons with the number of entries they apply to
+function updateBulkActions() {
+  const container = document.getElementById('bulk-actions');
+  if (!container) return;
+
+  const multiple = selectedRequestIds.size > 1;
+  const count = getBulkTargets('selection').length;
+  const filteredCount = getBulkTargets('filtered').length;
+  const continueBtn = document.getElementById('bulk-continue-btn');
+  const filteredBtn = document.getElementById('bulk-continue-filtered-btn');
+  const blockBtn = document.getElementById('bulk-block-btn');
+
+  continueBtn.textContent = `Continue ${multiple ? 'Selected' : 'All'} (${count})`;
+  continueBtn.disabled = count === 0;
+  blockBtn.textContent = `Block ${multiple ? 'Selected' : 'All'} (${count})`;
+  blockBtn.disabled = count === 0;
+  filteredBtn.textContent = `Continue Matching Filter (${filteredCount})`;
+  filteredBtn.disabled = filteredCount === 0;
+
+  document.getElementById('selection-count').textContent = multiple ? `${selectedRequestIds.size} selected` : '';
+}
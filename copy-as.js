@@ -0,0 +1,200 @@
+/**
+ * NetCepter Pro - Copy As
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Turns a captured request into a runnable cURL, fetch(), HTTPie or Python
+ * requests snippet and copies it to the clipboard.
+ * Requires encoding.js and body-editor.js.
+ */
+
+const COPY_AS_FORMATS = {
+  curl: { label: 'cURL', build: buildCurlCommand },
+  fetch: { label: 'fetch()', build: buildFetchSnippet },
+  httpie: { label: 'HTTPie', build: buildHttpieCommand },
+  python: { label: 'Python requests', build: buildPythonSnippet }
+};
+
+// Headers the tools compute themselves, copying them would only cause mismatches
+const COPY_AS_SKIPPED_HEADERS = ['content-length'];
+
+// Create HTML for the "Copy as…" button and its menu
+function createCopyMenuHtml() {
+  let html = '<div class="copy-menu">';
+  html += '<button class="btn btn-secondary" id="copy-as-btn" type="button">Copy as…</button>';
+  html += '<div class="copy-menu-list" id="copy-as-list">';
+  Object.entries(COPY_AS_FORMATS).forEach(([format, { label }]) => {
+    html += `<button type="button" data-format="${format}">${label}</button>`;
+  });
+  html += '</div></div>';
+  return html;
+}
+
+// Setup the "Copy as…" menu for a request
+function setupCopyMenu(request) {
+  const btn = document.getElementById('copy-as-btn');
+  const list = document.getElementById('copy-as-list');
+  if (!btn || !list) return;
+
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (list.classList.toggle('show')) {
+      document.addEventListener('click', () => list.classList.remove('show'), { once: true });
+    }
+  });
+
+  list.querySelectorAll('button').forEach(item => {
+    item.addEventListener('click', () => {
+      list.classList.remove('show');
+      const format = COPY_AS_FORMATS[item.dataset.format];
+      copyToClipboard(format.build(request))
+        .then(() => {
+          btn.textContent = `Copied as ${format.label}`;
+          setTimeout(() => {
+            btn.textContent = 'Copy as…';
+          }, 1500);
+        })
+        .catch(() => showNotification('Failed to copy to clipboard', 'error'));
+    });
+  });
+}
+
+// Get the headers worth copying as name/value pairs
+function getCopyHeaders(request) {
+  return Object.entries(request.headers || {})
+    .filter(([name]) => !name.startsWith(':') && !COPY_AS_SKIPPED_HEADERS.includes(name.toLowerCase()))
+    .map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// Get the request body as text, or undefined without a body
+function getCopyBody(request) {
+  if (['GET', 'HEAD'].includes(request.method)) {
+    return undefined;
+  }
+  const base64 = getRequestBodyBase64(request);
+  if (base64ByteLength(base64) === 0) {
+    return undefined;
+  }
+  const text = base64ToText(base64);
+  return text !== null ? text : request.postData;
+}
+
+// Quote a string for a POSIX shell
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Build a cURL command
+function buildCurlCommand(request) {
+  const body = getCopyBody(request);
+  const parts = [`curl ${shellQuote(request.url)}`];
+
+  // curl infers POST from the body, and -X HEAD would leave it waiting for a body
+  if (request.method === 'HEAD') {
+    parts.push('--head');
+  } else if (request.method !== 'GET' && !(request.method === 'POST' && body !== undefined)) {
+    parts.push(`-X ${request.method}`);
+  }
+  getCopyHeaders(request).forEach(h => {
+    parts.push(`-H ${shellQuote(`${h.name}: ${h.value}`)}`);
+  });
+  if (body !== undefined) {
+    parts.push(`--data-raw ${shellQuote(body)}`);
+  }
+
+  return parts.join(' \\\n  ');
+}
+
+// Build a JavaScript fetch() call
+function buildFetchSnippet(request) {
+  const body = getCopyBody(request);
+  const init = { method: request.method };
+
+  const headers = {};
+  getCopyHeaders(request).forEach(h => {
+    headers[h.name] = h.value;
+  });
+  if (Object.keys(headers).length > 0) {
+    init.headers = headers;
+  }
+  if (body !== undefined) {
+    init.body = body;
+  }
+
+  return `fetch(${JSON.stringify(request.url)}, ${JSON.stringify(init, null, 2)});`;
+}
+
+// Build an HTTPie command
+function buildHttpieCommand(request) {
+  const body = getCopyBody(request);
+  const parts = [`http --ignore-stdin ${request.method} ${shellQuote(request.url)}`];
+
+  getCopyHeaders(request).forEach(h => {
+    // "Name;" sends a header with an empty value
+    parts.push(shellQuote(h.value ? `${h.name}:${h.value}` : `${h.name};`));
+  });
+  if (body !== undefined) {
+    parts.push(`--raw ${shellQuote(body)}`);
+  }
+
+  return parts.join(' \\\n  ');
+}
+
+// Build a Python requests snippet
+function buildPythonSnippet(request) {
+  const body = getCopyBody(request);
+  const headers = getCopyHeaders(request);
+  const method = request.method.toLowerCase();
+  const lines = ['import requests', ''];
+  const args = [pythonString(request.url)];
+
+  if (headers.length > 0) {
+    lines.push('headers = {');
+    headers.forEach(h => {
+      lines.push(`    ${pythonString(h.name)}: ${pythonString(h.value)},`);
+    });
+    lines.push('}', '');
+    args.push('headers=headers');
+  }
+
+  if (body !== undefined) {
+    // requests sends str bodies as Latin-1, non-ASCII bodies go out as UTF-8 bytes instead
+    lines.push(`data = ${pythonString(body)}${/[^\x00-\x7f]/.test(body) ? ".encode('utf-8')" : ''}`, '');
+    args.push('data=data');
+  }
+
+  if (['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method)) {
+    lines.push(`response = requests.${method}(${args.join(', ')})`);
+  } else {
+    lines.push(`response = requests.request(${pythonString(request.method)}, ${args.join(', ')})`);
+  }
+  lines.push('print(response.status_code)', 'print(response.text)');
+
+  return lines.join('\n');
+}
+
+// Python string literal (JSON escapes are valid Python escapes)
+function pythonString(value) {
+  return JSON.stringify(String(value));
+}
+
+// Copy text to the clipboard, falling back to execCommand where the Clipboard API is blocked (DevTools)
+function copyToClipboard(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text).catch(() => copyWithExecCommand(text));
+  }
+  return copyWithExecCommand(text);
+}
+
+// Copy text through a temporary textarea
+function copyWithExecCommand(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  return copied ? Promise.resolve() : Promise.reject(new Error('Copy failed'));
+}
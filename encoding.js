@@ -0,0 +1,113 @@
+/**
+ * NetCepter Pro - Body Encoding
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Base64/UTF-8/hex helpers so bodies stay byte-exact from the debugger to the
+ * editors and back. Loaded by background.js (importScripts) and by the panel pages.
+ */
+
+const HEX_BYTES_PER_LINE = 16;
+
+// Decode base64 to bytes
+function base64ToBytes(base64) {
+  const binary = atob(base64 || '');
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Encode bytes to base64
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Encode text as UTF-8 base64
+function textToBase64(text) {
+  return bytesToBase64(new TextEncoder().encode(text || ''));
+}
+
+// Decode UTF-8 base64 to text, returns null when the bytes aren't valid UTF-8
+// (decoding would then lose data)
+function base64ToText(base64) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(base64ToBytes(base64));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Size in bytes of base64 encoded data
+function base64ByteLength(base64) {
+  if (!base64) {
+    return 0;
+  }
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+// Check if a content type describes text (missing content type counts as text)
+function isTextualContentType(contentType) {
+  if (!contentType) {
+    return true;
+  }
+
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return mimeType.startsWith('text/') ||
+    /[/+](json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|yaml|csv)$/.test(mimeType) ||
+    mimeType === 'image/svg+xml';
+}
+
+// Format bytes as an editable hex dump: offset, hex bytes and an ASCII column
+function bytesToHexDump(bytes) {
+  const lines = [];
+
+  for (let offset = 0; offset < bytes.length; offset += HEX_BYTES_PER_LINE) {
+    const chunk = bytes.subarray(offset, offset + HEX_BYTES_PER_LINE);
+    const hex = [];
+    let ascii = '';
+
+    chunk.forEach((byte, i) => {
+      hex.push(byte.toString(16).padStart(2, '0'));
+      if (i === 7) hex.push('');
+      ascii += byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.';
+    });
+
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.join(' ').padEnd(48)}  |${ascii}|`);
+  }
+
+  return lines.join('\n');
+}
+
+// Parse a hex dump (or plain hex pairs) back to bytes
+// Offsets and the ASCII column are ignored, throws on invalid hex
+function hexDumpToBytes(text) {
+  const values = [];
+
+  (text || '').split('\n').forEach((line, index) => {
+    const hexPart = line
+      .replace(/\|.*$/, '')
+      .replace(/^\s*[0-9a-f]{8}(\s|$)/i, '')
+      .trim();
+
+    if (!hexPart) return;
+
+    hexPart.split(/\s+/).forEach(token => {
+      if (!/^([0-9a-f]{2})+$/i.test(token)) {
+        throw new Error(`Invalid hex "${token}" on line ${index + 1}`);
+      }
+      for (let i = 0; i < token.length; i += 2) {
+        values.push(parseInt(token.substr(i, 2), 16));
+      }
+    });
+  });
+
+  return new Uint8Array(values);
+}
@@ -0,0 +1,75 @@
+/**
+ * NetCepter Pro - Fault Menu
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * "Fail with…" menu of the paused request actions: fail the selected request with a
+ * network error, or answer it with a canned error status instead of the real response.
+ * Uses the panel's `requests` map, `selectedRequestId`, `port`, list helpers and
+ * `displayRequestDetails`. Requires faults.js.
+ */
+
+// Fill the fault menu and setup its listeners
+function setupFaultMenu() {
+  const btn = document.getElementById('fault-btn');
+  const list = document.getElementById('fault-menu-list');
+  if (!btn || !list) return;
+
+  let html = '<div class="copy-menu-heading">Network error</div>';
+  Object.entries(FAULT_ERROR_REASONS).forEach(([reason, label]) => {
+    html += `<button type="button" data-kind="error" data-value="${reason}">${label}</button>`;
+  });
+  html += '<div class="copy-menu-heading">Error response</div>';
+  Object.entries(FAULT_RESPONSES).forEach(([key, fault]) => {
+    html += `<button type="button" data-kind="response" data-value="${key}">${fault.label}</button>`;
+  });
+  list.innerHTML = html;
+
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (list.classList.toggle('show')) {
+      document.addEventListener('click', () => list.classList.remove('show'), { once: true });
+    }
+  });
+
+  list.querySelectorAll('button').forEach(item => {
+    item.addEventListener('click', () => {
+      list.classList.remove('show');
+      injectFault(item.dataset.kind, item.dataset.value);
+    });
+  });
+}
+
+// Fail the selected paused request with a network error or a canned error response
+function injectFault(kind, value) {
+  const request = requests.get(selectedRequestId);
+  if (!request || !request.isPaused) return;
+
+  if (kind === 'response') {
+    const response = buildFaultResponse(value);
+    port.postMessage({
+      type: 'SEND_ERROR_RESPONSE',
+      tabId: request.tabId,
+      requestId: request.id,
+      response: value
+    });
+    request.status = 'modified';
+    request.responseStatus = response.responseCode;
+    request.responseStatusText = FAULT_RESPONSES[value].message;
+    request.responseHeaders = response.responseHeaders;
+    request.responseBodyBase64 = response.body;
+  } else {
+    port.postMessage({
+      type: 'BLOCK_REQUEST',
+      tabId: request.tabId,
+      requestId: request.id,
+      errorReason: value
+    });
+    request.status = 'failed';
+  }
+
+  request.isPaused = false;
+  request.fault = describeFault(kind, value);
+  updateRequestInList(request);
+  displayRequestDetails(request);
+}
@@ -0,0 +1,68 @@
+/**
+ * NetCepter Pro - Fault Injection
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Synthetic network errors and canned error responses, used by the fault menu of
+ * paused requests and by the Fail with Error and Error Response rule actions.
+ * Loaded by background.js (importScripts) and by the panel pages. Requires encoding.js.
+ */
+
+// Network errors a request can fail with (Fetch.ErrorReason values)
+const FAULT_ERROR_REASONS = {
+  Failed: 'Failed',
+  TimedOut: 'Timed Out',
+  ConnectionReset: 'Connection Reset',
+  ConnectionRefused: 'Connection Refused',
+  ConnectionClosed: 'Connection Closed',
+  ConnectionAborted: 'Connection Aborted',
+  ConnectionFailed: 'Connection Failed',
+  NameNotResolved: 'Name Not Resolved',
+  InternetDisconnected: 'Internet Disconnected',
+  AddressUnreachable: 'Address Unreachable',
+  AccessDenied: 'Access Denied',
+  Aborted: 'Aborted',
+  BlockedByClient: 'Blocked by Client'
+};
+
+// Canned error responses, with Retry-After where clients are expected to back off
+const FAULT_RESPONSES = {
+  500: { label: '500 Internal Server Error', status: 500, message: 'Internal Server Error' },
+  502: { label: '502 Bad Gateway', status: 502, message: 'Bad Gateway' },
+  503: { label: '503 Service Unavailable (Retry-After: 30)', status: 503, message: 'Service Unavailable', retryAfter: 30 },
+  429: { label: '429 Too Many Requests (Retry-After: 60)', status: 429, message: 'Too Many Requests', retryAfter: 60 }
+};
+
+// Build the Fetch.fulfillRequest parameters (without the request ID) for a canned error response
+function buildFaultResponse(key) {
+  const fault = FAULT_RESPONSES[key] || FAULT_RESPONSES[500];
+  const body = JSON.stringify({ error: fault.message, status: fault.status });
+  const headers = [
+    { name: 'Content-Type', value: 'application/json' },
+    { name: 'Cache-Control', value: 'no-store' }
+  ];
+  if (fault.retryAfter) {
+    headers.push({ name: 'Retry-After', value: String(fault.retryAfter) });
+  }
+
+  return {
+    responseCode: fault.status,
+    responseHeaders: headers,
+    body: textToBase64(body)
+  };
+}
+
+// Check if a fault with a probability in percent fires this time (no probability means always)
+function rollFaultProbability(probability, random = Math.random) {
+  if (probability === undefined || probability === '') {
+    return true;
+  }
+  return random() * 100 < Number(probability);
+}
+
+// Short label for a fault, as shown in the request details
+function describeFault(kind, value) {
+  return kind === 'response'
+    ? (FAULT_RESPONSES[value] || FAULT_RESPONSES[500]).label
+    : `Network error: ${FAULT_ERROR_REASONS[value] || value}`;
+}
@@ -0,0 +1,503 @@
+/**
+ * NetCepter Pro - Filter Query
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Query language for the request list, e.g.
+ * `status:>=400 method:POST domain:api.example.com -type:image larger-than:10k has-header:authorization is:modified`.
+ * Terms are ANDed, a leading `-` negates one, words without a known key match the URL.
+ * Comes with autocomplete and saved presets (chrome.storage.local). Only narrows the
+ * list, what gets paused is still decided by the URL, method and type filters.
+ * Uses the panel's `requests` map and `applyFilters`. Requires encoding.js, rules.js and modal.js.
+ */
+
+// Keys of the query language, with the values offered by autocomplete
+// Keys without fixed values get suggestions from the captured entries
+const FILTER_QUERY_KEYS = {
+  status: { description: 'Response status: 404, >=400, <300, 5xx' },
+  method: { description: 'HTTP method', values: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD'] },
+  domain: { description: 'Host, *.example.com includes subdomains' },
+  url: { description: 'Text in the URL' },
+  type: {
+    description: 'Resource type',
+    values: ['document', 'xhr', 'fetch', 'script', 'stylesheet', 'image', 'media', 'font', 'websocket', 'other']
+  },
+  'mime-type': { description: 'Text in the response Content-Type' },
+  'larger-than': { description: 'Response size: 500, 10k, 1.5M' },
+  'smaller-than': { description: 'Response size: 500, 10k, 1.5M' },
+  'has-header': { description: 'Request or response header name' },
+  is: {
+    description: 'Entry state',
+    values: ['paused', 'modified', 'blocked', 'mocked', 'failed', 'completed', 'pending', 'replayed', 'imported', 'authenticated', 'open', 'closed']
+  }
+};
+
+// Suggestions shown at once
+const FILTER_QUERY_MAX_SUGGESTIONS = 12;
+
+// Parsed terms of the active query: [{ negated, test }]
+let filterQueryTerms = [];
+let filterPresets = [];
+let filterSuggestions = [];
+let filterSuggestionIndex = -1;
+
+// Split a query into tokens at whitespace outside double quotes
+function tokenizeFilterQuery(text) {
+  const tokens = [];
+  const pattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Parse a query into terms, invalid terms are reported and left out
+// Returns { terms: [{ negated, key, value, test }], errors: [] }
+function parseFilterQuery(text) {
+  const terms = [];
+  const errors = [];
+
+  tokenizeFilterQuery(text).forEach(token => {
+    const negated = token.text.length > 1 && token.text.startsWith('-');
+    const body = negated ? token.text.slice(1) : token.text;
+    const colon = body.indexOf(':');
+    const key = colon > 0 ? body.slice(0, colon).toLowerCase() : '';
+
+    // Unknown keys (like the scheme of a pasted URL) are plain text
+    const term = FILTER_QUERY_KEYS[key]
+      ? { negated, key, value: unquoteFilterValue(body.slice(colon + 1)) }
+      : { negated, key: 'url', value: unquoteFilterValue(body) };
+
+    try {
+      term.test = compileFilterTerm(term.key, term.value);
+      terms.push(term);
+    } catch (e) {
+      errors.push(`${token.text}: ${e.message}`);
+    }
+  });
+
+  return { terms, errors };
+}
+
+// Strip the double quotes around a value
+function unquoteFilterValue(value) {
+  return value.replace(/^"|"$/g, '');
+}
+
+// Build the predicate of a term, throws on values the key doesn't accept
+function compileFilterTerm(key, value) {
+  const lower = value.toLowerCase();
+  if (!value) {
+    throw new Error('missing value');
+  }
+
+  switch (key) {
+    case 'status': {
+      const range = lower.match(/^([1-5])xx$/);
+      if (range) {
+        return (request) => Math.floor(getFilterStatus(request) / 100) === Number(range[1]);
+      }
+      const comparison = value.match(/^(>=|<=|>|<|=)?(\d{3})$/);
+      if (!comparison) {
+        throw new Error('expected a status like 404, >=400 or 5xx');
+      }
+      return compareFilterNumber(getFilterStatus, comparison[1] || '=', Number(comparison[2]));
+    }
+
+    case 'method':
+      return (request) => (request.method || '').toUpperCase() === value.toUpperCase();
+
+    case 'domain':
+      return (request) => matchesFilterDomain(getFilterHost(request), lower);
+
+    case 'url':
+      return (request) => (request.url || '').toLowerCase().includes(lower);
+
+    case 'type':
+      return (request) => (request.resourceType || 'other').toLowerCase() === lower;
+
+    case 'mime-type':
+      return (request) => (findHeaderValue(request.responseHeaders, 'Content-Type') || '').toLowerCase().includes(lower);
+
+    case 'larger-than':
+    case 'smaller-than': {
+      const bytes = parseFilterSize(value);
+      if (bytes === null) {
+        throw new Error('expected a size like 500, 10k or 1.5M');
+      }
+      return compareFilterNumber(getFilterSize, key === 'larger-than' ? '>' : '<', bytes);
+    }
+
+    case 'has-header':
+      return (request) => getFilterHeaderNames(request).includes(lower);
+
+    case 'is':
+      if (!FILTER_QUERY_KEYS.is.values.includes(lower)) {
+        throw new Error(`expected one of ${FILTER_QUERY_KEYS.is.values.join(', ')}`);
+      }
+      if (lower === 'paused') {
+        return (request) => Boolean(request.isPaused);
+      }
+      // Requests continued with manual edits keep their completed status
+      if (lower === 'modified') {
+        return (request) => Boolean(request.modified) || request.status === 'modified';
+      }
+      return (request) => request.status === lower;
+  }
+
+  throw new Error('unknown key');
+}
+
+// Compare a numeric property of a request, entries without it never match
+function compareFilterNumber(getValue, operator, expected) {
+  return (request) => {
+    const actual = getValue(request);
+    if (actual === undefined) {
+      return false;
+    }
+    switch (operator) {
+      case '>=': return actual >= expected;
+      case '<=': return actual <= expected;
+      case '>': return actual > expected;
+      case '<': return actual < expected;
+      default: return actual === expected;
+    }
+  };
+}
+
+// Parse a size like 500, 10k, 10kb or 1.5M into bytes (null when invalid)
+function parseFilterSize(value) {
+  const match = value.match(/^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb)?$/i);
+  if (!match) {
+    return null;
+  }
+  const units = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+  return Math.round(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+// Check a host against a domain term (exact, *.example.com includes subdomains and the domain itself)
+function matchesFilterDomain(host, domain) {
+  if (!host) {
+    return false;
+  }
+  if (domain.startsWith('*.')) {
+    const base = domain.slice(2);
+    return host === base || host.endsWith('.' + base);
+  }
+  if (domain.includes('*')) {
+    const pattern = domain.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`).test(host);
+  }
+  return host === domain;
+}
+
+// Host of a request's URL
+function getFilterHost(request) {
+  try {
+    return new URL(request.url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+// Response status of a request (undefined before the response)
+function getFilterStatus(request) {
+  return request.responseStatus || undefined;
+}
+
+// Response size in bytes: the loaded body, else the transferred size
+function getFilterSize(request) {
+  if (request.responseBodyBase64 !== undefined) {
+    return base64ByteLength(request.responseBodyBase64);
+  }
+  const lifecycle = request.lifecycle;
+  return lifecycle && lifecycle.encodedDataLength !== undefined ? lifecycle.encodedDataLength : undefined;
+}
+
+// Lower-cased names of a request's request and response headers
+function getFilterHeaderNames(request) {
+  return Object.keys(request.headers || {})
+    .concat((request.responseHeaders || []).map(header => header.name))
+    .map(name => name.toLowerCase());
+}
+
+// Check a request against the active query
+function matchesFilterQuery(request) {
+  return filterQueryTerms.every(term => term.test(request) !== term.negated);
+}
+
+// Setup the query input, its autocomplete and the presets menu, and restore the last query
+function setupFilterQuery() {
+  const input = document.getElementById('filter-query');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    setFilterQuery(input.value);
+    showFilterSuggestions();
+  });
+  input.addEventListener('focus', showFilterSuggestions);
+  input.addEventListener('click', showFilterSuggestions);
+  input.addEventListener('blur', hideFilterSuggestions);
+  input.addEventListener('keydown', handleFilterQueryKeydown);
+
+  setupFilterPresets();
+
+  chrome.storage.local.get(['filterQuery', 'filterPresets'], (result) => {
+    filterPresets = result.filterPresets || [];
+    if (result.filterQuery) {
+      input.value = result.filterQuery;
+      setFilterQuery(result.filterQuery);
+    }
+  });
+}
+
+// Make a query the active one, re-filter the list and remember it
+function setFilterQuery(text) {
+  const input = document.getElementById('filter-query');
+  const { terms, errors } = parseFilterQuery(text);
+  filterQueryTerms = terms;
+
+  input.classList.toggle('invalid', errors.length > 0);
+  input.title = errors.length > 0 ? `Ignored: ${errors.join('; ')}` : '';
+
+  applyFilters();
+  chrome.storage.local.set({ filterQuery: text });
+}
+
+// Move through or accept autocomplete suggestions
+function handleFilterQueryKeydown(e) {
+  const list = document.getElementById('filter-query-suggestions');
+  const open = list.classList.contains('show') && filterSuggestions.length > 0;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    if (!open) {
+      showFilterSuggestions();
+      return;
+    }
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    filterSuggestionIndex = (filterSuggestionIndex + step + filterSuggestions.length) % filterSuggestions.length;
+    renderFilterSuggestions();
+  } else if ((e.key === 'Enter' || e.key === 'Tab') && open && filterSuggestionIndex >= 0) {
+    e.preventDefault();
+    acceptFilterSuggestion(filterSuggestions[filterSuggestionIndex]);
+  } else if (e.key === 'Escape' && open) {
+    e.stopPropagation();
+    hideFilterSuggestions();
+  }
+}
+
+// Find the token the caret is in (or right after)
+function getFilterTokenAtCaret(input) {
+  const caret = input.selectionStart;
+  const token = tokenizeFilterQuery(input.value).find(t => t.start <= caret && caret <= t.end);
+  return token || { text: '', start: caret, end: caret };
+}
+
+// Suggest keys, or values once the key is complete, for the token at the caret
+function getFilterSuggestions(tokenText) {
+  const negation = tokenText.startsWith('-') ? '-' : '';
+  const body = tokenText.slice(negation.length);
+  const colon = body.indexOf(':');
+
+  if (colon === -1) {
+    const prefix = body.toLowerCase();
+    return Object.entries(FILTER_QUERY_KEYS)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, { description }]) => ({ text: `${negation}${key}:`, label: `${key}:`, description, complete: false }));
+  }
+
+  const key = body.slice(0, colon).toLowerCase();
+  if (!FILTER_QUERY_KEYS[key]) {
+    return [];
+  }
+  const prefix = unquoteFilterValue(body.slice(colon + 1)).toLowerCase();
+  return getFilterValues(key)
+    .filter(value => value.toLowerCase().startsWith(prefix) && value.toLowerCase() !== prefix)
+    .slice(0, FILTER_QUERY_MAX_SUGGESTIONS)
+    .map(value => {
+      const quoted = /\s/.test(value) ? `"${value}"` : value;
+      return { text: `${negation}${key}:${quoted} `, label: value, complete: true };
+    });
+}
+
+// Values offered for a key: fixed ones, or what the captured entries contain
+function getFilterValues(key) {
+  if (FILTER_QUERY_KEYS[key].values) {
+    return FILTER_QUERY_KEYS[key].values;
+  }
+
+  const values = new Set();
+  requests.forEach(request => {
+    if (key === 'domain') {
+      const host = getFilterHost(request);
+      if (host) values.add(host);
+    } else if (key === 'status') {
+      if (request.responseStatus) values.add(String(request.responseStatus));
+    } else if (key === 'has-header') {
+      getFilterHeaderNames(request).forEach(name => values.add(name));
+    } else if (key === 'mime-type') {
+      const contentType = findHeaderValue(request.responseHeaders, 'Content-Type');
+      if (contentType) values.add(contentType.split(';')[0].trim().toLowerCase());
+    }
+  });
+  return Array.from(values).sort();
+}
+
+// Show the suggestions for the token at the caret
+function showFilterSuggestions() {
+  const input = document.getElementById('filter-query');
+  filterSuggestions = getFilterSuggestions(getFilterTokenAtCaret(input).text);
+  filterSuggestionIndex = filterSuggestions.length > 0 ? 0 : -1;
+  renderFilterSuggestions();
+}
+
+// Hide the suggestions
+function hideFilterSuggestions() {
+  document.getElementById('filter-query-suggestions').classList.remove('show');
+  filterSuggestions = [];
+  filterSuggestionIndex = -1;
+}
+
+// Render the suggestion list
+function renderFilterSuggestions() {
+  const list = document.getElementById('filter-query-suggestions');
+  if (filterSuggestions.length === 0) {
+    list.classList.remove('show');
+    return;
+  }
+
+  list.innerHTML = filterSuggestions.map((suggestion, index) => `
+    <button type="button" class="${index === filterSuggestionIndex ? 'active' : ''}" data-index="${index}">
+      ${escapeHtml(suggestion.label)}
+      ${suggestion.description ? `<span class="filter-suggestion-description">${escapeHtml(suggestion.description)}</span>` : ''}
+    </button>
+  `).join('');
+
+  list.querySelectorAll('button').forEach(btn => {
+    // mousedown keeps the focus in the input, a click would blur it first
+    btn.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      acceptFilterSuggestion(filterSuggestions[Number(btn.dataset.index)]);
+    });
+  });
+  list.classList.add('show');
+  list.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+// Replace the token at the caret with a suggestion
+function acceptFilterSuggestion(suggestion) {
+  const input = document.getElementById('filter-query');
+  const token = getFilterTokenAtCaret(input);
+  const rest = input.value.slice(token.end);
+  input.value = input.value.slice(0, token.start) + suggestion.text + (suggestion.complete ? rest.replace(/^ /, '') : rest);
+  const caret = token.start + suggestion.text.length;
+  input.setSelectionRange(caret, caret);
+
+  setFilterQuery(input.value);
+  // After a key, go straight on to its values
+  if (suggestion.complete) {
+    hideFilterSuggestions();
+  } else {
+    showFilterSuggestions();
+  }
+}
+
+// Setup the saved presets menu
+function setupFilterPresets() {
+  const btn = document.getElementById('filter-presets-btn');
+  const list = document.getElementById('filter-presets-list');
+  if (!btn || !list) return;
+
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    renderFilterPresets();
+    if (list.classList.toggle('show')) {
+      document.addEventListener('click', () => list.classList.remove('show'), { once: true });
+    }
+  });
+}
+
+// Render the presets menu: saved presets, then saving the current query
+function renderFilterPresets() {
+  const list = document.getElementById('filter-presets-list');
+  const query = document.getElementById('filter-query').value.trim();
+
+  let html = '<div class="copy-menu-heading">Saved presets</div>';
+  if (filterPresets.length === 0) {
+    html += '<div class="copy-menu-note">No presets yet</div>';
+  }
+  filterPresets.forEach((preset, index) => {
+    html += `
+      <div class="filter-preset" data-index="${index}">
+        <button type="button" class="filter-preset-apply" title="${escapeHtml(preset.query)}">${escapeHtml(preset.name)}</button>
+        <button type="button" class="filter-preset-delete" title="Delete preset">×</button>
+      </div>
+    `;
+  });
+  html += `<button type="button" id="save-filter-preset-btn" ${query ? '' : 'disabled'}>Save current query…</button>`;
+  list.innerHTML = html;
+
+  list.querySelectorAll('.filter-preset').forEach(item => {
+    const preset = filterPresets[Number(item.dataset.index)];
+
+    item.querySelector('.filter-preset-apply').addEventListener('click', () => {
+      const input = document.getElementById('filter-query');
+      input.value = preset.query;
+      setFilterQuery(preset.query);
+    });
+
+    item.querySelector('.filter-preset-delete').addEventListener('click', (e) => {
+      // Keep the menu open while deleting
+      e.stopPropagation();
+      filterPresets.splice(Number(item.dataset.index), 1);
+      chrome.storage.local.set({ filterPresets });
+      renderFilterPresets();
+    });
+  });
+
+  document.getElementById('save-filter-preset-btn').addEventListener('click', () => {
+    openFilterPresetDialog(query);
+  });
+}
+
+// Ask for a name and save a query as a preset, replacing a preset of the same name
+function openFilterPresetDialog(query) {
+  const body = openModal('Save Filter Preset', `
+    <div class="detail-section">
+      <div class="detail-field"><label>Name</label>
+        <input type="text" id="filter-preset-name" placeholder="Failed API calls"></div>
+      <div class="detail-field"><label>Query</label>
+        <input type="text" value="${escapeHtml(query)}" disabled></div>
+    </div>
+    <div class="form-actions">
+      <button class="btn btn-success" id="filter-preset-save-btn">Save Preset</button>
+    </div>
+  `);
+
+  const nameInput = body.querySelector('#filter-preset-name');
+  nameInput.focus();
+
+  const save = () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      showNotification('Give the preset a name', 'error');
+      return;
+    }
+    const existing = filterPresets.find(preset => preset.name === name);
+    if (existing) {
+      existing.query = query;
+    } else {
+      filterPresets.push({ name, query });
+    }
+    chrome.storage.local.set({ filterPresets });
+    closeModal();
+    showNotification(`Saved filter preset "${name}"`, 'success');
+  };
+
+  body.querySelector('#filter-preset-save-btn').addEventListener('click', save);
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * NetCepter Pro - Form Bodies
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Parses and re-serializes application/x-www-form-urlencoded and multipart/form-data
+ * bodies for the body editor's Form mode, and fixes Content-Length and the multipart
+ * boundary of bodies rebuilt from the form. Multipart parts are split on the raw bytes, so file
+ * contents stay byte-exact. Requires encoding.js.
+ */
+
+// Form encoding of a content type ('urlencoded', 'multipart' or null)
+function getFormEncoding(contentType) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (mimeType === 'application/x-www-form-urlencoded') {
+    return 'urlencoded';
+  }
+  if (mimeType === 'multipart/form-data') {
+    return 'multipart';
+  }
+  return null;
+}
+
+// Boundary parameter of a multipart content type
+function getMultipartBoundary(contentType) {
+  const match = (contentType || '').match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+// Set the boundary parameter of a multipart content type
+function setMultipartBoundary(contentType, boundary) {
+  return getMultipartBoundary(contentType)
+    ? contentType.replace(/(;\s*boundary=)(?:"[^"]+"|[^;\s]+)/i, `$1${boundary}`)
+    : `${contentType}; boundary=${boundary}`;
+}
+
+// Parse a form body into fields
+// URL-encoded: [{ name, value }]. Multipart: [{ name, value, filename, contentType, base64 }]
+// where file parts (with a filename, or not valid UTF-8) keep their bytes in base64.
+// Returns null when the body can't be read as the content type's encoding
+function parseFormBody(base64, contentType) {
+  const encoding = getFormEncoding(contentType);
+
+  if (encoding === 'urlencoded') {
+    const text = base64ToText(base64);
+    if (text === null) {
+      return null;
+    }
+    return Array.from(new URLSearchParams(text)).map(([name, value]) => ({ name, value }));
+  }
+
+  if (encoding === 'multipart') {
+    const boundary = getMultipartBoundary(contentType);
+    return boundary ? parseMultipart(base64ToBytes(base64), boundary) : null;
+  }
+
+  return null;
+}
+
+// Split a multipart body into parts
+function parseMultipart(bytes, boundary) {
+  const binary = bytesToBinaryString(bytes);
+  const sections = binary.split(`--${boundary}`);
+
+  // Anything without a closing delimiter isn't a multipart body we can rebuild
+  if (sections.length < 2 || !sections[sections.length - 1].startsWith('--')) {
+    return null;
+  }
+
+  const fields = [];
+  // The first section is the preamble, the last one the epilogue after "--boundary--"
+  for (const section of sections.slice(1, -1)) {
+    const part = section.replace(/^\r\n/, '').replace(/\r\n$/, '');
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+      return null;
+    }
+
+    const headers = {};
+    binaryStringToText(part.slice(0, headerEnd)).split('\r\n').forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    });
+
+    const disposition = headers['content-disposition'] || '';
+    const data = part.slice(headerEnd + 4);
+    const field = {
+      name: getDispositionParam(disposition, 'name') || '',
+      filename: getDispositionParam(disposition, 'filename'),
+      contentType: headers['content-type']
+    };
+
+    const text = field.filename === undefined ? binaryStringToText(data) : null;
+    if (text !== null) {
+      field.value = text;
+    } else {
+      field.base64 = btoa(data);
+    }
+    fields.push(field);
+  }
+
+  return fields;
+}
+
+// Read a parameter of a Content-Disposition header
+function getDispositionParam(disposition, param) {
+  const match = disposition.match(new RegExp(`;\\s*${param}="((?:[^"\\\\]|\\\\.)*)"`, 'i'))
+    || disposition.match(new RegExp(`;\\s*${param}=([^;\\s]+)`, 'i'));
+  return match ? match[1].replace(/\\(.)/g, '$1') : undefined;
+}
+
+// Serialize fields back into a form body
+// Returns { base64, contentType }, the content type carries a new boundary if the
+// old one appears in the data
+function serializeFormBody(fields, contentType) {
+  const encoding = getFormEncoding(contentType);
+  const named = fields.filter(field => field.name || field.base64 !== undefined);
+
+  if (encoding === 'urlencoded') {
+    const params = new URLSearchParams(named.map(field => [field.name, field.value || '']));
+    return { base64: textToBase64(params.toString()), contentType };
+  }
+
+  let boundary = getMultipartBoundary(contentType) || createMultipartBoundary();
+  const encoder = new TextEncoder();
+  const datas = named.map(field => field.base64 !== undefined ? base64ToBytes(field.base64) : encoder.encode(field.value || ''));
+  while (datas.some(data => bytesToBinaryString(data).includes(`--${boundary}`))) {
+    boundary = createMultipartBoundary();
+  }
+
+  const chunks = [];
+  named.forEach((field, index) => {
+    let head = `--${boundary}\r\nContent-Disposition: form-data; name="${escapeDispositionParam(field.name)}"`;
+    if (field.filename !== undefined) {
+      head += `; filename="${escapeDispositionParam(field.filename)}"`;
+    }
+    head += '\r\n';
+    if (field.contentType) {
+      head += `Content-Type: ${field.contentType}\r\n`;
+    }
+    chunks.push(encoder.encode(head + '\r\n'), datas[index], encoder.encode('\r\n'));
+  });
+  chunks.push(encoder.encode(`--${boundary}--\r\n`));
+
+  const body = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return { base64: bytesToBase64(body), contentType: setMultipartBoundary(contentType, boundary) };
+}
+
+// Quote a name or filename for Content-Disposition the way browsers do
+function escapeDispositionParam(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+// Random boundary in the style browsers use
+function createMultipartBoundary() {
+  return '----NetCepterFormBoundary' + Math.random().toString(36).slice(2, 14);
+}
+
+// Bytes as a string with one character per byte, so multipart bodies can be split
+// without decoding them
+function bytesToBinaryString(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+// Decode a one-character-per-byte string as UTF-8, null when it isn't valid UTF-8
+function binaryStringToText(binary) {
+  return base64ToText(btoa(binary));
+}
+
+// Fix the Content-Length and multipart boundary headers of a body rebuilt from the form
+// Done here rather than left to the background worker, so a rebuilt body never goes out
+// with a stale length when its header fix-ups are turned off
+// headers is an object (name → value), returns a new object
+function fixFormBodyHeaders(headers, base64, contentType) {
+  const fixed = { ...headers };
+  const boundary = getMultipartBoundary(contentType);
+  Object.keys(fixed).forEach(name => {
+    const lower = name.toLowerCase();
+    if (lower === 'content-length') {
+      fixed[name] = String(base64ByteLength(base64));
+    } else if (lower === 'content-type' && getFormEncoding(fixed[name]) === 'multipart' && boundary) {
+      fixed[name] = setMultipartBoundary(fixed[name], boundary);
+    }
+  });
+  return fixed;
+}
@@ -0,0 +1,378 @@
+/**
+ * NetCepter Pro - HAR Export & Import
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Converts captured entries to a HAR 1.2 log and saves it as a file, and imports
+ * HAR files for browsing or offline replay through the background worker.
+ * Uses the panel's `requests` map, `requestResponseBody` and `getInspectedTabIds`.
+ * Requires encoding.js, rules.js, mocks.js, body-editor.js and network.js.
+ */
+
+// How long to wait for missing response bodies before exporting anyway
+const HAR_BODY_TIMEOUT = 5000;
+
+// Responses served by the active HAR replay (null when it's off)
+let harReplayEntries = null;
+
+// Export all captured entries as a HAR file
+async function exportHar() {
+  // Auth challenges aren't exchanges of their own, the challenged request is exported instead
+  const entries = Array.from(requests.values())
+    .filter(request => request.type !== 'auth')
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (entries.length === 0) {
+    showNotification('Nothing to export yet', 'warning');
+    return;
+  }
+
+  await loadResponseBodies(entries);
+
+  const har = buildHar(entries);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  downloadFile(`netcepter-${stamp}.har`, JSON.stringify(har, null, 2), 'application/json');
+}
+
+// Request bodies that haven't been loaded yet and wait until they arrive (or time out)
+function loadResponseBodies(entries) {
+  const missing = entries.filter(r =>
+    r.responseStatus && r.responseBodyBase64 === undefined && !r.responseBodyUnavailable && isResponseBodyReady(r)
+  );
+  try {
+    missing.forEach(r => requestResponseBody(r));
+  } catch (e) {
+    // Port disconnected, export what we already have
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const check = () => {
+      if (missing.every(r => r.responseBodyBase64 !== undefined || r.responseBodyUnavailable) ||
+          Date.now() - started > HAR_BODY_TIMEOUT) {
+        resolve();
+      } else {
+        setTimeout(check, 100);
+      }
+    };
+    check();
+  });
+}
+
+// Build a HAR 1.2 log from captured entries
+function buildHar(entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: {
+        name: 'NetCepter Pro',
+        version: chrome.runtime.getManifest().version
+      },
+      pages: [],
+      entries: entries.map(buildHarEntry)
+    }
+  };
+}
+
+// Build a single HAR entry
+function buildHarEntry(request) {
+  const requestHeaders = toHeaderArray(request.headers);
+  const responseHeaders = toHeaderArray(request.responseHeaders);
+  const lifecycle = request.lifecycle;
+  const { timings, time } = computeHarTimings(lifecycle);
+  const httpVersion = lifecycle && lifecycle.protocol ? lifecycle.protocol : 'HTTP/1.1';
+
+  const entry = {
+    startedDateTime: new Date(request.timestamp).toISOString(),
+    time: time,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: httpVersion,
+      cookies: [],
+      headers: requestHeaders,
+      queryString: parseQueryString(request.url),
+      headersSize: -1,
+      bodySize: hasRequestBody(request) ? base64ByteLength(getRequestBodyBase64(request)) : 0
+    },
+    response: {
+      status: request.responseStatus || 0,
+      statusText: request.responseStatusText || '',
+      httpVersion: httpVersion,
+      cookies: [],
+      headers: responseHeaders,
+      content: buildHarContent(request, responseHeaders),
+      redirectURL: findHeaderValue(responseHeaders, 'Location') || '',
+      headersSize: -1,
+      bodySize: -1,
+      _transferSize: lifecycle && lifecycle.encodedDataLength !== undefined ? lifecycle.encodedDataLength : -1
+    },
+    cache: {},
+    timings: timings,
+    _resourceType: (request.resourceType || 'other').toLowerCase(),
+    _netcepter: {
+      modified: Boolean(request.modified) || request.status === 'modified',
+      blocked: request.status === 'blocked',
+      mocked: request.status === 'mocked'
+    }
+  };
+
+  if (hasRequestBody(request)) {
+    entry.request.postData = buildHarPostData(request, requestHeaders);
+  }
+
+  if (request.appliedRules && request.appliedRules.length > 0) {
+    entry._netcepter.rules = request.appliedRules;
+  }
+
+  if (lifecycle && lifecycle.remoteIPAddress) {
+    entry.serverIPAddress = lifecycle.remoteIPAddress;
+  }
+
+  if (lifecycle && lifecycle.failed) {
+    entry.response._error = lifecycle.failed.blockedReason || lifecycle.failed.errorText;
+  }
+
+  // Frames in the format Chrome's own HAR export uses for WebSocket connections
+  if (request.websocket) {
+    entry._webSocketMessages = request.websocket.frames
+      .filter(frame => frame.direction !== 'error')
+      .map(frame => ({
+        type: frame.direction === 'sent' ? 'send' : 'receive',
+        time: frame.time / 1000,
+        opcode: frame.opcode,
+        data: frame.payload
+      }));
+  }
+
+  return entry;
+}
+
+// Build the response content object
+function buildHarContent(request, responseHeaders) {
+  const content = {
+    size: 0,
+    mimeType: findHeaderValue(responseHeaders, 'Content-Type') || 'x-unknown'
+  };
+
+  if (request.responseBodyBase64 !== undefined) {
+    // Bodies that aren't valid UTF-8 are kept as base64 so the export stays byte-exact
+    const text = base64ToText(request.responseBodyBase64);
+    content.size = base64ByteLength(request.responseBodyBase64);
+    if (text !== null) {
+      content.text = text;
+    } else {
+      content.text = request.responseBodyBase64;
+      content.encoding = 'base64';
+    }
+  }
+
+  return content;
+}
+
+// Check whether a request has a body to export
+function hasRequestBody(request) {
+  return request.postDataBase64 !== undefined ? request.postDataBase64 !== '' : Boolean(request.postData);
+}
+
+// Build HAR postData for a request body
+// HAR has no encoding field for postData, bodies that aren't valid UTF-8 are kept as
+// base64 and marked with an _encoding field, so the export stays byte-exact
+function buildHarPostData(request, requestHeaders) {
+  const base64 = getRequestBodyBase64(request);
+  const text = base64ToText(base64);
+  const postData = {
+    mimeType: findHeaderValue(requestHeaders, 'Content-Type') || '',
+    text: text !== null ? text : base64
+  };
+  if (text === null) {
+    postData._encoding = 'base64';
+    postData.comment = 'Body is base64-encoded';
+  }
+  return postData;
+}
+
+// Convert headers in object or array format to a HAR header array
+function toHeaderArray(headers) {
+  if (!headers) {
+    return [];
+  }
+  if (Array.isArray(headers)) {
+    return headers.map(h => ({ name: h.name, value: String(h.value) }));
+  }
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// Parse the query string of a URL into HAR name/value pairs
+function parseQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Save text content as a file download
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Open a file picker and import the chosen HAR file
+function openHarImport() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.har,application/json';
+  input.addEventListener('change', () => {
+    if (input.files && input.files[0]) {
+      importHarFile(input.files[0]);
+    }
+  });
+  input.click();
+}
+
+// Import a HAR file into the request list
+async function importHarFile(file) {
+  let har;
+  try {
+    har = JSON.parse(await file.text());
+  } catch (e) {
+    showNotification('Invalid HAR file: ' + e.message, 'error');
+    return;
+  }
+
+  const harEntries = har && har.log && Array.isArray(har.log.entries) ? har.log.entries : null;
+  if (!harEntries) {
+    showNotification('Invalid HAR file: missing log.entries', 'error');
+    return;
+  }
+
+  const importId = Date.now();
+  harEntries.forEach((entry, index) => {
+    const request = harEntryToRequest(entry, `har-${importId}-${index}`);
+    requests.set(request.id, request);
+    addRequestToList(request);
+  });
+  updateRequestCount();
+
+  showHarImportDialog(file.name, harEntries);
+}
+
+// Convert a HAR entry to a panel entry
+function harEntryToRequest(entry, id) {
+  const harRequest = entry.request || {};
+  const harResponse = entry.response || {};
+
+  const headers = {};
+  (harRequest.headers || []).forEach(h => {
+    headers[h.name] = h.value;
+  });
+
+  return {
+    id: id,
+    url: harRequest.url || '',
+    method: harRequest.method || 'GET',
+    headers: headers,
+    postData: harRequest.postData && harRequest.postData._encoding !== 'base64' ? harRequest.postData.text : undefined,
+    postDataBase64: harRequest.postData && harRequest.postData._encoding === 'base64' ? harRequest.postData.text : undefined,
+    resourceType: entry._resourceType || 'other',
+    timestamp: Date.parse(entry.startedDateTime) || Date.now(),
+    status: 'imported',
+    type: 'response',
+    isPaused: false,
+    imported: true,
+    responseStatus: harResponse.status,
+    responseStatusText: harResponse.statusText,
+    responseHeaders: harResponse.headers || [],
+    responseBodyBase64: harContentToBase64(harResponse.content)
+  };
+}
+
+// Get HAR response content as base64
+function harContentToBase64(content) {
+  if (!content || typeof content.text !== 'string') {
+    return '';
+  }
+  return content.encoding === 'base64' ? content.text : textToBase64(content.text);
+}
+
+// Ask whether the imported HAR should also be served for offline replay
+function showHarImportDialog(fileName, harEntries) {
+  const body = openModal('HAR Imported', `
+    <p class="modal-text">Imported <strong>${harEntries.length}</strong> entries from <strong>${escapeHtml(fileName)}</strong>.</p>
+    <p class="modal-text">Offline replay answers requests whose method and URL match an entry of this HAR with the recorded response, so the session can be reproduced without a backend.</p>
+    <div class="form-actions">
+      <button class="btn btn-secondary" id="har-browse-btn">Just Browse</button>
+      <button class="btn btn-primary" id="har-replay-start-btn">Serve from HAR</button>
+    </div>
+  `);
+
+  body.querySelector('#har-browse-btn').addEventListener('click', closeModal);
+  body.querySelector('#har-replay-start-btn').addEventListener('click', () => {
+    startHarReplay(harEntries);
+    closeModal();
+  });
+}
+
+// Send recorded responses to the background worker for offline replay
+function startHarReplay(harEntries) {
+  harReplayEntries = harEntries
+    .filter(entry => entry.request && entry.response && entry.response.status > 0)
+    .map(entry => {
+      const content = entry.response.content || {};
+      return {
+        method: entry.request.method,
+        url: entry.request.url,
+        status: entry.response.status,
+        headers: (entry.response.headers || [])
+          .filter(h => !MOCK_SKIPPED_HEADERS.includes(h.name.toLowerCase()))
+          .map(h => ({ name: h.name, value: String(h.value) })),
+        body: content.text || '',
+        base64Encoded: content.encoding === 'base64'
+      };
+    });
+
+  getInspectedTabIds().forEach(tabId => {
+    port.postMessage({ type: 'SET_HAR_REPLAY', tabId: tabId, entries: harReplayEntries });
+  });
+  updateHarReplayButton(harReplayEntries.length);
+}
+
+// Serve the active HAR replay in a tab attached after it started (auto-attached popups,
+// tabs added in the standalone window, or the inspected tab reattaching)
+function applyHarReplay(tabId) {
+  if (!harReplayEntries) return;
+
+  port.postMessage({ type: 'SET_HAR_REPLAY', tabId: tabId, entries: harReplayEntries });
+  updateHarReplayButton(harReplayEntries.length);
+}
+
+// Stop serving responses from the imported HAR
+function stopHarReplay() {
+  harReplayEntries = null;
+  try {
+    getInspectedTabIds().forEach(tabId => {
+      port.postMessage({ type: 'SET_HAR_REPLAY', tabId: tabId, entries: null });
+    });
+  } catch (e) {
+    // Port disconnected, replay ended with it
+  }
+  updateHarReplayButton(0);
+}
+
+// Show the stop button while HAR replay is active
+function updateHarReplayButton(entryCount) {
+  const btn = document.getElementById('har-replay-btn');
+  if (!btn) return;
+
+  btn.style.display = entryCount > 0 ? 'inline-flex' : 'none';
+  btn.querySelector('.har-replay-count').textContent = entryCount;
+}
@@ -0,0 +1,169 @@
+/**
+ * NetCepter Pro - JSON Tree
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Collapsible tree view of a JSON value, used by the body editor's Tree mode.
+ * Values are edited in place and every node can copy its JSONPath.
+ * Requires copy-as.js.
+ */
+
+// Levels expanded when a tree is first rendered
+const JSON_TREE_OPEN_DEPTH = 2;
+
+// Render a JSON value as a tree into a container
+// onChange is called with the new root value after every edit, without it the tree is read-only
+function renderJsonTree(container, value, onChange) {
+  const holder = { value };
+  container.innerHTML = '';
+  container.appendChild(createJsonTreeNode(holder, 'value', '$', null, 0, onChange ? () => onChange(holder.value) : null));
+}
+
+// Create the node of parent[key], labelled with its key (null for the root)
+function createJsonTreeNode(parent, key, path, label, depth, onChange) {
+  const value = parent[key];
+  const isContainer = value !== null && typeof value === 'object';
+
+  const node = document.createElement('div');
+  node.className = 'json-node';
+
+  const row = document.createElement('div');
+  row.className = 'json-row';
+  node.appendChild(row);
+
+  const toggle = document.createElement('span');
+  toggle.className = 'json-toggle';
+  row.appendChild(toggle);
+
+  if (label !== null) {
+    const keyEl = document.createElement('span');
+    keyEl.className = 'json-key';
+    keyEl.textContent = `${label}: `;
+    row.appendChild(keyEl);
+  }
+
+  const valueEl = document.createElement('span');
+  row.appendChild(valueEl);
+
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'json-copy-path';
+  copyBtn.textContent = 'Copy path';
+  copyBtn.title = `Copy JSONPath ${path}`;
+  copyBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    copyToClipboard(path)
+      .then(() => {
+        copyBtn.textContent = 'Copied';
+        setTimeout(() => {
+          copyBtn.textContent = 'Copy path';
+        }, 1500);
+      })
+      .catch(() => showNotification('Failed to copy to clipboard', 'error'));
+  });
+  row.appendChild(copyBtn);
+
+  const rerender = () => {
+    node.replaceWith(createJsonTreeNode(parent, key, path, label, depth, onChange));
+  };
+
+  if (!isContainer) {
+    valueEl.className = `json-value json-${value === null ? 'null' : typeof value}`;
+    valueEl.textContent = JSON.stringify(value);
+    if (onChange) {
+      valueEl.classList.add('editable');
+      valueEl.title = 'Click to edit';
+      valueEl.addEventListener('click', () => editJsonTreeValue(valueEl, parent, key, onChange, rerender));
+    }
+    return node;
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : Object.entries(value);
+  valueEl.className = 'json-summary';
+  valueEl.textContent = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+
+  // Children are only built once expanded, large bodies stay quick to open
+  const children = document.createElement('div');
+  children.className = 'json-children';
+  node.appendChild(children);
+
+  const setOpen = (open) => {
+    if (open && !children.hasChildNodes()) {
+      entries.forEach(([childKey]) => {
+        const childPath = buildJsonPath(path, childKey);
+        children.appendChild(createJsonTreeNode(value, childKey, childPath, childKey, depth + 1, onChange));
+      });
+    }
+    node.classList.toggle('open', open);
+    toggle.textContent = open ? '▾' : '▸';
+  };
+
+  toggle.addEventListener('click', () => setOpen(!node.classList.contains('open')));
+  valueEl.addEventListener('click', () => setOpen(!node.classList.contains('open')));
+  setOpen(depth < JSON_TREE_OPEN_DEPTH);
+
+  return node;
+}
+
+// Replace a value with an input and write the edit back on Enter or blur
+// Strings stay strings, other values are parsed as JSON (so objects and arrays can be pasted in)
+function editJsonTreeValue(valueEl, parent, key, onChange, rerender) {
+  const original = parent[key];
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'json-edit';
+  input.value = typeof original === 'string' ? original : JSON.stringify(original);
+  valueEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (commit) => {
+    if (done) return;
+
+    if (commit && input.value !== (typeof original === 'string' ? original : JSON.stringify(original))) {
+      let updated;
+      try {
+        updated = typeof original === 'string' ? input.value : JSON.parse(input.value);
+      } catch (e) {
+        input.classList.add('invalid');
+        input.title = `Not a JSON value: ${e.message}`;
+        return;
+      }
+      parent[key] = updated;
+      onChange();
+    }
+
+    done = true;
+    rerender();
+  };
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      // Don't close the dialog the editor may sit in
+      e.stopPropagation();
+      finish(false);
+    }
+  });
+  // Leaving an invalid value reverts it
+  input.addEventListener('blur', () => {
+    finish(true);
+    finish(false);
+  });
+}
+
+// JSONPath of a child: $.name for identifiers, $['other key'] and $[0] otherwise
+function buildJsonPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return `${path}.${key}`;
+  }
+  return `${path}['${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+}
@@ -0,0 +1,231 @@
+/**
+ * NetCepter Pro - Mock Library
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Create, edit and enable mock responses, or save one from a captured response.
+ * Mocks are stored in chrome.storage.local and served by the background worker.
+ */
+
+let mocksCache = [];
+
+// Open the mock library
+function openMockLibrary() {
+  chrome.storage.local.get('mocks', (result) => {
+    mocksCache = result.mocks || [];
+    openModal('Mock Library', '<div id="mocks-view"></div>');
+    renderMockList();
+  });
+}
+
+// Persist mocks to storage
+function saveMocks() {
+  chrome.storage.local.set({ mocks: mocksCache });
+}
+
+// Save a captured response as a new mock and open it for editing
+function saveResponseAsMock(request) {
+  if (request.responseBodyUnavailable) {
+    showNotification('Response body is not available for this request', 'warning');
+    return;
+  }
+  if (request.responseBodyBase64 === undefined) {
+    showNotification('Response body is still loading, try again in a moment', 'warning');
+    return;
+  }
+
+  chrome.storage.local.get('mocks', (result) => {
+    mocksCache = result.mocks || [];
+    const mock = createMockFromRequest(request);
+    mocksCache.push(mock);
+    saveMocks();
+
+    openModal('Mock Library', '<div id="mocks-view"></div>');
+    renderMockForm(JSON.parse(JSON.stringify(mock)), mocksCache.length - 1);
+  });
+}
+
+// Render the list of mocks
+function renderMockList() {
+  const view = document.getElementById('mocks-view');
+  if (!view) return;
+
+  let html = '<div class="modal-toolbar">';
+  html += '<button class="btn btn-primary" id="new-mock-btn">+ New Mock</button>';
+  html += '</div>';
+
+  if (mocksCache.length === 0) {
+    html += `
+      <div class="empty-state">
+        <p>No mocks yet</p>
+        <small>Create one here or use "Save as Mock" on any captured response</small>
+      </div>
+    `;
+  } else {
+    html += '<div class="library-list">';
+    mocksCache.forEach((mock, index) => {
+      const match = mock.match || {};
+      html += `
+        <div class="library-item" data-index="${index}">
+          <label class="toggle-switch" title="Enable/Disable Mock">
+            <input type="checkbox" class="mock-enabled" ${mock.enabled ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <div class="library-item-info">
+            <div class="library-item-title">${escapeHtml(mock.name)} <span class="badge">${mock.status}</span></div>
+            <div class="library-item-meta">${escapeHtml(match.method || 'ANY')} ${escapeHtml(match.url)}</div>
+          </div>
+          <div class="library-item-actions">
+            <button class="btn btn-secondary mock-edit">Edit</button>
+            <button class="btn btn-text mock-delete" title="Delete mock">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+  }
+
+  view.innerHTML = html;
+
+  document.getElementById('new-mock-btn').addEventListener('click', () => {
+    renderMockForm(createEmptyMock(), -1);
+  });
+
+  view.querySelectorAll('.library-item').forEach(item => {
+    const index = parseInt(item.dataset.index);
+
+    item.querySelector('.mock-enabled').addEventListener('change', (e) => {
+      mocksCache[index].enabled = e.target.checked;
+      saveMocks();
+    });
+
+    item.querySelector('.mock-edit').addEventListener('click', () => {
+      renderMockForm(JSON.parse(JSON.stringify(mocksCache[index])), index);
+    });
+
+    item.querySelector('.mock-delete').addEventListener('click', () => {
+      mocksCache.splice(index, 1);
+      saveMocks();
+      renderMockList();
+    });
+  });
+}
+
+// Render the create/edit form for a mock (index -1 for a new mock)
+function renderMockForm(mock, index) {
+  const view = document.getElementById('mocks-view');
+  if (!view) return;
+
+  const match = mock.match || {};
+  let html = '';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Name</label>';
+  html += `<input type="text" id="mock-name" value="${escapeHtml(mock.name)}"></div>`;
+  html += '<div class="detail-field"><label>URL Pattern</label>';
+  html += '<div class="inline-fields">';
+  html += `<input type="text" id="mock-url" value="${escapeHtml(match.url)}" placeholder="*api.example.com/users*">`;
+  html += '<select id="mock-url-type">';
+  html += `<option value="glob" ${match.urlType !== 'regex' ? 'selected' : ''}>Glob</option>`;
+  html += `<option value="regex" ${match.urlType === 'regex' ? 'selected' : ''}>Regex</option>`;
+  html += '</select></div></div>';
+  html += '<div class="detail-field"><label>Method</label><select id="mock-method">';
+  html += '<option value="">Any</option>';
+  HTTP_METHODS.forEach(m => {
+    html += `<option value="${m}" ${match.method === m ? 'selected' : ''}>${m}</option>`;
+  });
+  html += '</select></div>';
+  html += '</div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Response</div>';
+  html += '<div class="detail-field"><label>Status Code</label>';
+  html += `<input type="number" id="mock-status" value="${mock.status}"></div>`;
+  html += '<div class="detail-field"><label>Headers</label>';
+  html += '<div class="headers-editor" id="mock-headers-editor">';
+  (mock.headers || []).forEach(header => {
+    html += createHeaderRowHtml(header.name, header.value, false);
+  });
+  html += '<button class="add-row-btn" id="add-mock-header-btn" type="button">+ Add Header</button>';
+  html += '</div></div>';
+  html += createBodyEditorHtml('mock-body', 'Body', getMockBodyBase64(mock), findHeaderValue(mock.headers || [], 'Content-Type'), false);
+  html += '</div>';
+
+  html += '<div class="form-actions">';
+  html += '<button class="btn btn-secondary" id="mock-cancel-btn">Cancel</button>';
+  html += '<button class="btn btn-success" id="mock-save-btn">Save Mock</button>';
+  html += '</div>';
+
+  view.innerHTML = html;
+  setupBodyEditors(view);
+
+  const headersEditor = document.getElementById('mock-headers-editor');
+  headersEditor.querySelectorAll('.remove-header-btn').forEach(btn => {
+    btn.addEventListener('click', () => btn.closest('.header-row').remove());
+  });
+
+  document.getElementById('add-mock-header-btn').addEventListener('click', () => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = createHeaderRowHtml('', '', false);
+    const row = wrapper.firstElementChild;
+    row.querySelector('.remove-header-btn').addEventListener('click', () => row.remove());
+    headersEditor.insertBefore(row, document.getElementById('add-mock-header-btn'));
+  });
+
+  document.getElementById('mock-cancel-btn').addEventListener('click', renderMockList);
+
+  document.getElementById('mock-save-btn').addEventListener('click', () => {
+    let updated;
+    try {
+      updated = readMockForm(mock);
+    } catch (e) {
+      showNotification(e.message, 'error');
+      return;
+    }
+
+    if (!updated.match.url) {
+      showNotification('A mock needs a URL pattern', 'error');
+      return;
+    }
+
+    if (index === -1) {
+      mocksCache.push(updated);
+    } else {
+      mocksCache[index] = updated;
+    }
+    saveMocks();
+    renderMockList();
+  });
+}
+
+// Read the mock form into a mock object, throws on an invalid hex or JSON body
+function readMockForm(mock) {
+  const headers = [];
+  document.querySelectorAll('#mock-headers-editor .header-row').forEach(row => {
+    const inputs = row.querySelectorAll('input');
+    const name = inputs[0].value.trim();
+    if (name) {
+      headers.push({ name, value: inputs[1].value.trim() });
+    }
+  });
+
+  const updated = {
+    ...mock,
+    name: document.getElementById('mock-name').value.trim() || 'Untitled Mock',
+    match: {
+      url: document.getElementById('mock-url').value.trim(),
+      urlType: document.getElementById('mock-url-type').value,
+      method: document.getElementById('mock-method').value
+    },
+    status: parseInt(document.getElementById('mock-status').value) || 200,
+    headers: headers
+  };
+  setMockBody(updated, readBodyEditor('mock-body'));
+
+  return updated;
+}
@@ -0,0 +1,73 @@
+/**
+ * NetCepter Pro - Mock Responses
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Saved responses served by the background worker at the Request stage,
+ * so matching requests never leave the browser. Requires rules.js and encoding.js.
+ */
+
+// Headers that describe the original transfer and don't apply to a mocked body
+const MOCK_SKIPPED_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding'];
+
+// Create an empty mock with default values
+function createEmptyMock() {
+  return {
+    id: 'mock-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+    name: 'New Mock',
+    enabled: true,
+    match: {
+      url: '',
+      urlType: 'glob',
+      method: ''
+    },
+    status: 200,
+    headers: [{ name: 'Content-Type', value: 'application/json' }],
+    body: ''
+  };
+}
+
+// Create a mock from a captured request/response entry
+function createMockFromRequest(request) {
+  const mock = createEmptyMock();
+
+  mock.name = `${request.method} ${request.url.split('?')[0]}`;
+  mock.match = {
+    url: request.url,
+    urlType: 'glob',
+    method: request.method
+  };
+  mock.status = request.responseStatus || 200;
+  mock.headers = (request.responseHeaders || [])
+    .filter(h => !MOCK_SKIPPED_HEADERS.includes(h.name.toLowerCase()))
+    .map(h => ({ name: h.name, value: h.value }));
+  setMockBody(mock, request.responseBodyBase64 || '');
+
+  return mock;
+}
+
+// Get the body of a mock as base64
+function getMockBodyBase64(mock) {
+  return mock.base64Encoded ? mock.body || '' : textToBase64(mock.body);
+}
+
+// Set the body of a mock from base64, stored as text when that is lossless
+function setMockBody(mock, base64) {
+  const text = base64ToText(base64);
+  mock.base64Encoded = text === null;
+  mock.body = text === null ? base64 : text;
+}
+
+// Find the first enabled mock matching the request
+function findMatchingMock(mocks, request) {
+  return (mocks || []).find(mock => {
+    if (!mock.enabled) {
+      return false;
+    }
+    const match = mock.match || {};
+    if (match.method && (request.method || '').toUpperCase() !== match.method.toUpperCase()) {
+      return false;
+    }
+    return matchesUrlPattern(request.url, match.url, match.urlType);
+  });
+}
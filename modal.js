@@ -0,0 +1,62 @@
+/**
+ * NetCepter Pro - Modal Dialog
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Simple modal used by the panel's library editors (rules, mocks, ...)
+ */
+
+// Open a modal with the given title and body HTML, returns the body element
+function openModal(title, bodyHtml) {
+  closeModal();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  overlay.id = 'modal-overlay';
+  overlay.innerHTML = `
+    <div class="modal">
+      <div class="section-header">
+        <h2>${escapeHtml(title)}</h2>
+        <button class="btn btn-text" id="modal-close-btn" title="Close">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </div>
+      <div class="modal-body"></div>
+    </div>
+  `;
+
+  const body = overlay.querySelector('.modal-body');
+  body.innerHTML = bodyHtml;
+
+  // Close on backdrop click or close button
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      closeModal();
+    }
+  });
+  overlay.querySelector('#modal-close-btn').addEventListener('click', closeModal);
+
+  document.addEventListener('keydown', handleModalKeydown);
+  document.body.appendChild(overlay);
+
+  return body;
+}
+
+// Close the open modal, if any
+function closeModal() {
+  const overlay = document.getElementById('modal-overlay');
+  if (overlay) {
+    overlay.remove();
+  }
+  document.removeEventListener('keydown', handleModalKeydown);
+}
+
+// Close modal on Escape
+function handleModalKeydown(e) {
+  if (e.key === 'Escape') {
+    closeModal();
+  }
+}
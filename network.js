@@ -0,0 +1,248 @@
+/**
+ * NetCepter Pro - Network Lifecycle
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Merges Network domain events (forwarded by the background worker, correlated by
+ * network ID) into the request list, and renders the timing waterfall.
+ * Traffic that never pauses shows up as well. Uses the panel's `requests` map,
+ * `selectedRequestId`, list helpers and `displayRequestDetails`. Requires body-editor.js.
+ */
+
+// Waterfall phases in display order
+const TIMING_PHASES = {
+  queueing: 'Queueing',
+  dns: 'DNS Lookup',
+  connect: 'Initial Connection',
+  tls: 'TLS Handshake',
+  send: 'Request Sent',
+  wait: 'Waiting (TTFB)',
+  download: 'Content Download'
+};
+
+// Entry ID by network ID
+const networkIndex = new Map();
+
+// Find the entry for a network request
+function findRequestByNetworkId(networkId) {
+  const id = networkIndex.get(networkId);
+  const request = id !== undefined ? requests.get(id) : undefined;
+  return request && request.networkId === networkId ? request : undefined;
+}
+
+// Register an entry created from a Fetch event under its network ID
+// A network-only entry already shown for the same request is replaced, keeping its lifecycle.
+// Redirect hops share the network ID, so the newest entry receives further updates
+function registerNetworkEntry(request) {
+  if (!request.networkId) return;
+
+  const existing = findRequestByNetworkId(request.networkId);
+  if (existing && existing.id !== request.id) {
+    request.lifecycle = request.lifecycle || existing.lifecycle;
+  }
+  if (existing && existing.id !== request.id && existing.networkOnly) {
+    requests.delete(existing.id);
+    document.querySelector(`[data-request-id="${existing.id}"]`)?.remove();
+    if (selectedRequestId === existing.id) {
+      selectedRequestId = request.id;
+    }
+    if (selectedRequestIds.delete(existing.id)) {
+      selectedRequestIds.add(request.id);
+    }
+  }
+
+  networkIndex.set(request.networkId, request.id);
+}
+
+// Handle a lifecycle update for a network request
+function handleNetworkLifecycle(data) {
+  const lifecycle = data.lifecycle;
+  let request = findRequestByNetworkId(data.networkId);
+
+  if (!request) {
+    request = {
+      id: data.networkId,
+      networkId: data.networkId,
+      tabId: data.tabId,
+      sessionId: data.sessionId,
+      source: data.source,
+      url: lifecycle.url,
+      method: lifecycle.method,
+      headers: lifecycle.requestHeaders || {},
+      postData: lifecycle.postData,
+      resourceType: lifecycle.resourceType || 'other',
+      timestamp: lifecycle.wallTime ? lifecycle.wallTime * 1000 : Date.now(),
+      status: 'pending',
+      type: 'response',
+      isPaused: false,
+      networkOnly: true
+    };
+    requests.set(request.id, request);
+    networkIndex.set(request.networkId, request.id);
+    addRequestToList(request);
+    updateRequestCount();
+  }
+
+  request.lifecycle = lifecycle;
+
+  // Network-only entries follow the request through redirects
+  if (request.networkOnly) {
+    request.url = lifecycle.url;
+    request.method = lifecycle.method;
+    request.headers = lifecycle.requestHeaders || request.headers;
+  }
+
+  if (!request.responseStatus && lifecycle.status) {
+    request.responseStatus = lifecycle.status;
+    request.responseStatusText = lifecycle.statusText;
+    request.responseHeaders = Object.entries(lifecycle.responseHeaders || {})
+      .map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  if (lifecycle.failed && ['pending', 'completed'].includes(request.status)) {
+    request.status = 'failed';
+  } else if (lifecycle.finished && request.status === 'pending' && request.networkOnly) {
+    request.status = 'completed';
+  }
+
+  updateRequestInList(request);
+
+  // Don't re-render a paused request, that would discard unsaved edits
+  if (selectedRequestId === request.id && !request.isPaused) {
+    displayRequestDetails(request);
+  }
+}
+
+// Check if the response body can be requested yet
+function isResponseBodyReady(request) {
+  const lifecycle = request.lifecycle;
+  return request.isPaused || !lifecycle || Boolean(lifecycle.finished || lifecycle.failed);
+}
+
+// Compute waterfall segments in milliseconds from the start of the request
+// Returns [{ phase, start, end }] and the total duration (-1 while loading)
+function computeTimingSegments(lifecycle) {
+  const segments = [];
+  const total = lifecycle.endTime ? (lifecycle.endTime - lifecycle.startTime) * 1000 : -1;
+  const timing = lifecycle.timing;
+
+  if (!timing) {
+    return { segments, total };
+  }
+
+  // ResourceTiming offsets are relative to requestTime, -1 when a phase didn't happen
+  const base = (timing.requestTime - lifecycle.startTime) * 1000;
+  const add = (phase, start, end) => {
+    if (start >= 0 && end >= start) {
+      segments.push({ phase, start: base + start, end: base + end });
+    }
+  };
+
+  if (base > 0) {
+    segments.push({ phase: 'queueing', start: 0, end: base });
+  }
+  add('dns', timing.dnsStart, timing.dnsEnd);
+  add('connect', timing.connectStart, timing.sslStart >= 0 ? timing.sslStart : timing.connectEnd);
+  add('tls', timing.sslStart, timing.sslEnd);
+  add('send', timing.sendStart, timing.sendEnd);
+  add('wait', timing.sendEnd, timing.receiveHeadersEnd);
+  if (total >= 0 && timing.receiveHeadersEnd >= 0) {
+    add('download', timing.receiveHeadersEnd, total - base);
+  }
+
+  return { segments, total };
+}
+
+// HAR 1.2 timings for a lifecycle (connect includes ssl as the spec requires)
+function computeHarTimings(lifecycle) {
+  const timings = { blocked: -1, dns: -1, connect: -1, send: 0, wait: 0, receive: 0, ssl: -1 };
+  if (!lifecycle) {
+    return { timings, time: 0 };
+  }
+
+  const { segments, total } = computeTimingSegments(lifecycle);
+  const duration = (phase) => {
+    const segment = segments.find(s => s.phase === phase);
+    return segment ? segment.end - segment.start : -1;
+  };
+
+  timings.blocked = duration('queueing');
+  timings.dns = duration('dns');
+  timings.ssl = duration('tls');
+  if (duration('connect') >= 0) {
+    timings.connect = duration('connect') + Math.max(timings.ssl, 0);
+  }
+  timings.send = Math.max(duration('send'), 0);
+  timings.wait = Math.max(duration('wait'), 0);
+  timings.receive = Math.max(duration('download'), 0);
+
+  return { timings, time: Math.max(total, 0) };
+}
+
+// Create HTML for the Timing tab
+function createTimingTabHtml(request) {
+  const lifecycle = request.lifecycle;
+  const { segments, total } = computeTimingSegments(lifecycle);
+  const scale = Math.max(total, segments.reduce((max, s) => Math.max(max, s.end), 0), 1);
+  let html = '';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Summary</div>';
+  html += '<div class="timing-summary">';
+  html += timingSummaryRow('Status', lifecycle.failed
+    ? `Failed: ${lifecycle.failed.blockedReason || lifecycle.failed.errorText}${lifecycle.failed.canceled ? ' (canceled)' : ''}`
+    : lifecycle.finished ? 'Finished' : 'Loading…');
+  html += timingSummaryRow('Total Time', total >= 0 ? formatDuration(total) : '—');
+  html += timingSummaryRow('Transferred', lifecycle.encodedDataLength !== undefined ? formatBytes(lifecycle.encodedDataLength) : '—');
+  if (lifecycle.protocol) html += timingSummaryRow('Protocol', lifecycle.protocol);
+  if (lifecycle.remoteIPAddress) html += timingSummaryRow('Remote Address', `${lifecycle.remoteIPAddress}:${lifecycle.remotePort}`);
+  if (lifecycle.fromServiceWorker) html += timingSummaryRow('Served From', 'Service worker');
+  else if (lifecycle.fromDiskCache) html += timingSummaryRow('Served From', 'Disk cache');
+  if (lifecycle.initiator) html += timingSummaryRow('Initiator', lifecycle.initiator);
+  html += '</div></div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Waterfall</div>';
+  if (segments.length === 0) {
+    html += '<div class="detail-note">No timing information for this request (cached, data URL or still pending)</div>';
+  } else {
+    html += '<div class="waterfall">';
+    segments.forEach(segment => {
+      const left = (segment.start / scale) * 100;
+      const width = Math.max(((segment.end - segment.start) / scale) * 100, 0.5);
+      html += `
+        <div class="waterfall-row">
+          <span class="waterfall-label">${TIMING_PHASES[segment.phase]}</span>
+          <span class="waterfall-track"><span class="waterfall-bar ${segment.phase}" style="left: ${left}%; width: ${width}%;"></span></span>
+          <span class="waterfall-duration">${formatDuration(segment.end - segment.start)}</span>
+        </div>
+      `;
+    });
+    html += '</div>';
+  }
+  html += '</div>';
+
+  if (lifecycle.redirects && lifecycle.redirects.length > 0) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Redirect Chain</div>';
+    lifecycle.redirects.forEach(redirect => {
+      html += `<div class="detail-note">${redirect.status} ${escapeHtml(redirect.url)}</div>`;
+    });
+    html += `<div class="detail-note">${lifecycle.status || '…'} ${escapeHtml(lifecycle.url)}</div>`;
+    html += '</div>';
+  }
+
+  return html;
+}
+
+// Create HTML for a row of the timing summary
+function timingSummaryRow(label, value) {
+  return `<span class="timing-summary-label">${escapeHtml(label)}</span><span>${escapeHtml(String(value))}</span>`;
+}
+
+// Format milliseconds for display
+function formatDuration(ms) {
+  if (ms < 1) return `${(ms * 1000).toFixed(0)} µs`;
+  if (ms < 1000) return `${ms.toFixed(1)} ms`;
+  return `${(ms / 1000).toFixed(2)} s`;
+}
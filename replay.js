@@ -0,0 +1,196 @@
+/**
+ * NetCepter Pro - Request Replay
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Resend a captured request, optionally edited, from the inspected page or from
+ * the extension. The result is added to the list as a new entry linked to the original.
+ * Uses the panel's `requests` map, `port` and `getInspectedTabId`.
+ * Requires encoding.js, body-editor.js, rules.js and modal.js.
+ */
+
+const REPLAY_CONTEXTS = {
+  page: 'Inspected page (cookies, origin and service workers of the page)',
+  extension: 'Extension (no page context, not subject to CORS)'
+};
+
+let replayCounter = 0;
+
+// Open the replay dialog prefilled with a captured request
+function openReplayDialog(request) {
+  const contentType = findHeaderValue(request.headers || {}, 'Content-Type');
+  let html = '';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>URL</label>';
+  html += `<input type="text" id="replay-url" value="${escapeHtml(request.url)}"></div>`;
+  html += '<div class="detail-field"><label>Method</label><select id="replay-method">';
+  HTTP_METHODS.forEach(m => {
+    html += `<option value="${m}" ${request.method === m ? 'selected' : ''}>${m}</option>`;
+  });
+  html += '</select></div>';
+  html += '<div class="detail-field"><label>Send From</label><select id="replay-context">';
+  Object.entries(REPLAY_CONTEXTS).forEach(([value, label]) => {
+    html += `<option value="${value}">${escapeHtml(label)}</option>`;
+  });
+  html += '</select></div>';
+  html += '</div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Headers</label>';
+  html += '<div class="headers-editor" id="replay-headers-editor">';
+  Object.entries(request.headers || {}).forEach(([name, value]) => {
+    html += createHeaderRowHtml(name, value, false);
+  });
+  html += '<button class="add-row-btn" id="add-replay-header-btn" type="button">+ Add Header</button>';
+  html += '</div></div>';
+  html += createBodyEditorHtml('replay-body', 'Body', getRequestBodyBase64(request), contentType, false);
+  html += '</div>';
+
+  html += '<div class="form-actions">';
+  html += '<button class="btn btn-secondary" id="replay-cancel-btn">Cancel</button>';
+  html += '<button class="btn btn-primary" id="replay-send-btn">Send</button>';
+  html += '</div>';
+
+  const body = openModal('Replay Request', html);
+  setupBodyEditors(body);
+
+  const headersEditor = document.getElementById('replay-headers-editor');
+  headersEditor.querySelectorAll('.remove-header-btn').forEach(btn => {
+    btn.addEventListener('click', () => btn.closest('.header-row').remove());
+  });
+
+  document.getElementById('add-replay-header-btn').addEventListener('click', () => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = createHeaderRowHtml('', '', false);
+    const row = wrapper.firstElementChild;
+    row.querySelector('.remove-header-btn').addEventListener('click', () => row.remove());
+    headersEditor.insertBefore(row, document.getElementById('add-replay-header-btn'));
+  });
+
+  document.getElementById('replay-cancel-btn').addEventListener('click', closeModal);
+
+  document.getElementById('replay-send-btn').addEventListener('click', () => {
+    let bodyBase64;
+    try {
+      bodyBase64 = readBodyEditor('replay-body');
+    } catch (e) {
+      showNotification(e.message, 'error');
+      return;
+    }
+
+    const url = document.getElementById('replay-url').value.trim();
+    if (!url) {
+      showNotification('A replay needs a URL', 'error');
+      return;
+    }
+
+    const headers = [];
+    headersEditor.querySelectorAll('.header-row').forEach(row => {
+      const inputs = row.querySelectorAll('input');
+      const name = inputs[0].value.trim();
+      if (name) {
+        headers.push({ name, value: inputs[1].value.trim() });
+      }
+    });
+
+    const replay = {
+      url: url,
+      method: document.getElementById('replay-method').value,
+      headers: headers,
+      bodyBase64: bodyBase64,
+      context: document.getElementById('replay-context').value
+    };
+
+    if (replay.context !== 'extension') {
+      sendReplay(request, replay);
+      closeModal();
+      return;
+    }
+
+    // Host access is only needed outside the page, and only asked for the replayed origin
+    let origin;
+    try {
+      origin = `${new URL(url).origin}/*`;
+    } catch (e) {
+      showNotification('A replay from the extension needs an absolute URL', 'error');
+      return;
+    }
+    chrome.permissions.request({ origins: [origin] }, (granted) => {
+      if (!granted) {
+        showNotification(`Replaying from the extension needs access to ${origin}`, 'error');
+        return;
+      }
+      sendReplay(request, replay);
+      closeModal();
+    });
+  });
+}
+
+// Add a pending entry for the replay and ask the background worker to send it
+function sendReplay(original, replay) {
+  const replayId = `replay-${Date.now()}-${++replayCounter}`;
+  const headers = {};
+  replay.headers.forEach(h => {
+    headers[h.name] = h.value;
+  });
+
+  const hasBody = !['GET', 'HEAD'].includes(replay.method) && base64ByteLength(replay.bodyBase64) > 0;
+  const entry = {
+    id: replayId,
+    url: replay.url,
+    method: replay.method,
+    headers: headers,
+    postData: hasBody ? base64ToText(replay.bodyBase64) || undefined : undefined,
+    postDataBase64: hasBody ? replay.bodyBase64 : undefined,
+    resourceType: 'fetch',
+    timestamp: Date.now(),
+    status: 'pending',
+    type: 'response',
+    isPaused: false,
+    tabId: original.tabId || getInspectedTabId(),
+    replayOf: original.id,
+    replayContext: replay.context
+  };
+
+  requests.set(replayId, entry);
+  addRequestToList(entry);
+  updateRequestCount();
+
+  try {
+    port.postMessage({
+      type: 'REPLAY_REQUEST',
+      tabId: entry.tabId,
+      replayId: replayId,
+      context: replay.context,
+      url: replay.url,
+      method: replay.method,
+      headers: replay.headers,
+      bodyBase64: hasBody ? replay.bodyBase64 : ''
+    });
+  } catch (e) {
+    handleReplayResult({ replayId, error: 'Not connected to the background worker' });
+  }
+}
+
+// Update a replay entry with the response (or error) from the background worker
+function handleReplayResult(data) {
+  const entry = requests.get(data.replayId);
+  if (!entry) return;
+
+  if (data.error) {
+    entry.status = 'failed';
+    entry.replayError = data.error;
+  } else {
+    entry.status = 'replayed';
+    entry.responseStatus = data.status;
+    entry.responseStatusText = data.statusText;
+    entry.responseHeaders = data.headers || [];
+    entry.responseBodyBase64 = data.bodyBase64 || '';
+  }
+
+  updateRequestInList(entry);
+  if (selectedRequestId === entry.id) {
+    displayRequestDetails(entry);
+  }
+}
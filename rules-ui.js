@@ -0,0 +1,324 @@
+/**
+ * NetCepter Pro - Rules Editor
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Create, edit, enable and reorder auto-modification rules.
+ * Rules are stored in chrome.storage.local and picked up by the background worker.
+ */
+
+let rulesCache = [];
+let networkPresetCache = 'none';
+
+// Open the rules editor
+function openRulesEditor() {
+  chrome.storage.local.get(['rules', 'networkPreset'], (result) => {
+    rulesCache = result.rules || [];
+    networkPresetCache = result.networkPreset || 'none';
+    openModal('Auto-Modification Rules', '<div id="rules-view"></div>');
+    renderRulesList();
+  });
+}
+
+// Persist rules to storage
+function saveRules() {
+  chrome.storage.local.set({ rules: rulesCache });
+}
+
+// Render the list of rules
+function renderRulesList() {
+  const view = document.getElementById('rules-view');
+  if (!view) return;
+
+  let html = '<div class="modal-toolbar">';
+  html += '<button class="btn btn-primary" id="new-rule-btn">+ New Rule</button>';
+  html += '</div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Network Throttling (whole tab, use Delay and Limit Speed actions for single endpoints)</label>';
+  html += '<select id="network-preset">';
+  Object.entries(NETWORK_PRESETS).forEach(([value, preset]) => {
+    html += `<option value="${value}" ${networkPresetCache === value ? 'selected' : ''}>${preset.label}</option>`;
+  });
+  html += '</select></div></div>';
+
+  if (rulesCache.length === 0) {
+    html += `
+      <div class="empty-state">
+        <p>No rules yet</p>
+        <small>Rules modify or block matching requests without pausing them</small>
+      </div>
+    `;
+  } else {
+    html += '<div class="library-list">';
+    rulesCache.forEach((rule, index) => {
+      html += `
+        <div class="library-item" data-index="${index}">
+          <label class="toggle-switch" title="Enable/Disable Rule">
+            <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <div class="library-item-info">
+            <div class="library-item-title">${escapeHtml(rule.name)} <span class="badge">${escapeHtml(rule.stage || 'request')}</span></div>
+            <div class="library-item-meta">${escapeHtml(describeRule(rule))}</div>
+          </div>
+          <div class="library-item-actions">
+            <button class="btn btn-text rule-up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button class="btn btn-text rule-down" title="Move down" ${index === rulesCache.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="btn btn-secondary rule-edit">Edit</button>
+            <button class="btn btn-text rule-delete" title="Delete rule">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+  }
+
+  view.innerHTML = html;
+
+  document.getElementById('new-rule-btn').addEventListener('click', () => {
+    renderRuleForm(createEmptyRule(), -1);
+  });
+
+  document.getElementById('network-preset').addEventListener('change', (e) => {
+    networkPresetCache = e.target.value;
+    chrome.storage.local.set({ networkPreset: networkPresetCache });
+  });
+
+  view.querySelectorAll('.library-item').forEach(item => {
+    const index = parseInt(item.dataset.index);
+
+    item.querySelector('.rule-enabled').addEventListener('change', (e) => {
+      rulesCache[index].enabled = e.target.checked;
+      saveRules();
+    });
+
+    item.querySelector('.rule-up').addEventListener('click', () => {
+      moveRule(index, index - 1);
+    });
+
+    item.querySelector('.rule-down').addEventListener('click', () => {
+      moveRule(index, index + 1);
+    });
+
+    item.querySelector('.rule-edit').addEventListener('click', () => {
+      renderRuleForm(JSON.parse(JSON.stringify(rulesCache[index])), index);
+    });
+
+    item.querySelector('.rule-delete').addEventListener('click', () => {
+      rulesCache.splice(index, 1);
+      saveRules();
+      renderRulesList();
+    });
+  });
+}
+
+// Move a rule to a new position (rules apply in list order)
+function moveRule(from, to) {
+  if (to < 0 || to >= rulesCache.length) return;
+
+  const [rule] = rulesCache.splice(from, 1);
+  rulesCache.splice(to, 0, rule);
+  saveRules();
+  renderRulesList();
+}
+
+// Render the create/edit form for a rule (index -1 for a new rule)
+function renderRuleForm(rule, index) {
+  const view = document.getElementById('rules-view');
+  if (!view) return;
+
+  const match = rule.match || {};
+  let html = '';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-field"><label>Name</label>';
+  html += `<input type="text" id="rule-name" value="${escapeHtml(rule.name)}"></div>`;
+  html += '<div class="detail-field"><label>Stage</label>';
+  html += '<select id="rule-stage">';
+  html += `<option value="request" ${rule.stage !== 'response' ? 'selected' : ''}>Request</option>`;
+  html += `<option value="response" ${rule.stage === 'response' ? 'selected' : ''}>Response</option>`;
+  html += '</select></div>';
+  html += '</div>';
+
+  // Match criteria
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Match</div>';
+  html += '<div class="detail-field"><label>URL Pattern</label>';
+  html += '<div class="inline-fields">';
+  html += `<input type="text" id="rule-url" value="${escapeHtml(match.url)}" placeholder="*api.example.com/*">`;
+  html += '<select id="rule-url-type">';
+  html += `<option value="glob" ${match.urlType !== 'regex' ? 'selected' : ''}>Glob</option>`;
+  html += `<option value="regex" ${match.urlType === 'regex' ? 'selected' : ''}>Regex</option>`;
+  html += '</select></div></div>';
+
+  html += '<div class="detail-field"><label>Method</label><select id="rule-method">';
+  html += '<option value="">Any</option>';
+  HTTP_METHODS.forEach(m => {
+    html += `<option value="${m}" ${match.method === m ? 'selected' : ''}>${m}</option>`;
+  });
+  html += '</select></div>';
+
+  html += '<div class="detail-field"><label>Resource Type</label><select id="rule-resource-type">';
+  html += '<option value="">Any</option>';
+  RESOURCE_TYPES.forEach(t => {
+    html += `<option value="${t}" ${match.resourceType === t ? 'selected' : ''}>${t}</option>`;
+  });
+  html += '</select></div>';
+
+  html += '<div class="detail-field"><label>Header (request headers for request stage, response headers for response stage)</label>';
+  html += '<div class="inline-fields">';
+  html += `<input type="text" id="rule-header-name" value="${escapeHtml(match.headerName)}" placeholder="Header name">`;
+  html += `<input type="text" id="rule-header-value" value="${escapeHtml(match.headerValue)}" placeholder="Value contains (optional)">`;
+  html += '</div></div>';
+  html += '</div>';
+
+  // Actions
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Actions</div>';
+  html += '<div class="headers-editor" id="rule-actions">';
+  (rule.actions || []).forEach(action => {
+    html += createActionRowHtml(action);
+  });
+  html += '<button class="add-row-btn" id="add-action-btn" type="button">+ Add Action</button>';
+  html += '</div>';
+  html += '</div>';
+
+  html += '<div class="form-actions">';
+  html += '<button class="btn btn-secondary" id="rule-cancel-btn">Cancel</button>';
+  html += '<button class="btn btn-success" id="rule-save-btn">Save Rule</button>';
+  html += '</div>';
+
+  view.innerHTML = html;
+
+  const actionsEditor = document.getElementById('rule-actions');
+  actionsEditor.querySelectorAll('.header-row').forEach(setupActionRow);
+
+  document.getElementById('add-action-btn').addEventListener('click', () => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = createActionRowHtml({ type: 'setHeader' });
+    const row = wrapper.firstElementChild;
+    setupActionRow(row);
+    actionsEditor.insertBefore(row, document.getElementById('add-action-btn'));
+  });
+
+  document.getElementById('rule-cancel-btn').addEventListener('click', renderRulesList);
+
+  document.getElementById('rule-save-btn').addEventListener('click', () => {
+    const updated = readRuleForm(rule);
+
+    if (updated.match.urlType === 'regex' && updated.match.url) {
+      try {
+        new RegExp(updated.match.url);
+      } catch (e) {
+        showNotification('Invalid regular expression: ' + e.message, 'error');
+        return;
+      }
+    }
+
+    if (index === -1) {
+      rulesCache.push(updated);
+    } else {
+      rulesCache[index] = updated;
+    }
+    saveRules();
+    renderRulesList();
+  });
+}
+
+// Create HTML for a single action row
+function createActionRowHtml(action) {
+  const type = action.type || 'setHeader';
+  const needsName = type === 'setHeader' || type === 'removeHeader';
+  const needsValue = type === 'rewriteUrl' || type === 'setHeader' || type === 'replaceBody';
+  const needsNumber = type === 'delay' || type === 'throttle';
+  const isFault = type === 'fail' || type === 'errorResponse';
+
+  let options = '';
+  Object.entries(RULE_ACTION_TYPES).forEach(([value, label]) => {
+    options += `<option value="${value}" ${type === value ? 'selected' : ''}>${label}</option>`;
+  });
+
+  let valueField = '';
+  if (type === 'replaceBody') {
+    valueField = `<textarea class="action-value" placeholder="New body">${escapeHtml(action.value)}</textarea>`;
+  } else if (needsValue) {
+    const placeholder = type === 'rewriteUrl' ? 'New URL' : 'Header value';
+    valueField = `<input type="text" class="action-value" value="${escapeHtml(action.value)}" placeholder="${placeholder}">`;
+  } else if (needsNumber) {
+    const placeholder = type === 'delay' ? 'Milliseconds' : 'KB per second';
+    valueField = `<input type="number" min="0" class="action-value" value="${escapeHtml(action.value)}" placeholder="${placeholder}">`;
+  } else if (isFault) {
+    const faults = type === 'fail'
+      ? Object.entries(FAULT_ERROR_REASONS)
+      : Object.entries(FAULT_RESPONSES).map(([key, fault]) => [key, fault.label]);
+    valueField = '<select class="action-value">';
+    faults.forEach(([value, label]) => {
+      valueField += `<option value="${value}" ${action.value === value ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    });
+    valueField += '</select>';
+    valueField += `<input type="number" min="0" max="100" class="action-probability" value="${escapeHtml(action.probability)}" placeholder="% of calls (all)" title="Percentage of matching calls that fail, empty for all of them">`;
+  }
+
+  return `
+    <div class="header-row action-row">
+      <select class="action-type">${options}</select>
+      ${needsName ? `<input type="text" class="action-name" value="${escapeHtml(action.name)}" placeholder="Header name">` : ''}
+      ${valueField}
+      <button class="btn-text remove-row-btn" type="button"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
+    </div>
+  `;
+}
+
+// Setup listeners for an action row
+function setupActionRow(row) {
+  row.querySelector('.action-type').addEventListener('change', (e) => {
+    const current = readActionRow(row);
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = createActionRowHtml({ ...current, type: e.target.value });
+    const newRow = wrapper.firstElementChild;
+    setupActionRow(newRow);
+    row.replaceWith(newRow);
+  });
+
+  row.querySelector('.remove-row-btn').addEventListener('click', () => {
+    row.remove();
+  });
+}
+
+// Read an action from its row
+function readActionRow(row) {
+  const action = { type: row.querySelector('.action-type').value };
+  const name = row.querySelector('.action-name');
+  const value = row.querySelector('.action-value');
+  const probability = row.querySelector('.action-probability');
+
+  if (name) action.name = name.value.trim();
+  if (value) action.value = value.value;
+  if (probability && probability.value.trim() !== '') action.probability = probability.value.trim();
+
+  return action;
+}
+
+// Read the rule form into a rule object
+function readRuleForm(rule) {
+  return {
+    ...rule,
+    name: document.getElementById('rule-name').value.trim() || 'Untitled Rule',
+    stage: document.getElementById('rule-stage').value,
+    match: {
+      url: document.getElementById('rule-url').value.trim(),
+      urlType: document.getElementById('rule-url-type').value,
+      method: document.getElementById('rule-method').value,
+      resourceType: document.getElementById('rule-resource-type').value,
+      headerName: document.getElementById('rule-header-name').value.trim(),
+      headerValue: document.getElementById('rule-header-value').value.trim()
+    },
+    actions: Array.from(document.querySelectorAll('#rule-actions .action-row')).map(readActionRow)
+  };
+}
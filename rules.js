@@ -0,0 +1,262 @@
+/**
+ * NetCepter Pro - Rule Engine
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Match/action rules applied automatically by the background worker.
+ * Loaded by background.js (importScripts) and by the panel pages. Requires faults.js.
+ */
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD'];
+
+// Resource types as reported by the Fetch domain
+const RESOURCE_TYPES = ['Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'XHR', 'Fetch', 'WebSocket', 'Other'];
+
+const RULE_ACTION_TYPES = {
+  rewriteUrl: 'Rewrite URL',
+  setHeader: 'Set Header',
+  removeHeader: 'Remove Header',
+  replaceBody: 'Replace Body',
+  delay: 'Delay',
+  throttle: 'Limit Speed',
+  fail: 'Fail with Error',
+  errorResponse: 'Error Response',
+  block: 'Block'
+};
+
+// Whole-tab network conditions for Network.emulateNetworkConditions
+// (latency in ms, throughput in bytes per second, the values DevTools uses)
+const NETWORK_PRESETS = {
+  none: { label: 'No throttling' },
+  fast4g: { label: 'Fast 4G', latency: 165, downloadThroughput: 1012500, uploadThroughput: 168750 },
+  fast3g: { label: 'Fast 3G', latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+  slow3g: { label: 'Slow 3G', latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  offline: { label: 'Offline', offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 }
+};
+
+// Create an empty rule with default values
+function createEmptyRule() {
+  return {
+    id: 'rule-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+    name: 'New Rule',
+    enabled: true,
+    stage: 'request',
+    match: {
+      url: '',
+      urlType: 'glob',
+      method: '',
+      resourceType: '',
+      headerName: '',
+      headerValue: ''
+    },
+    actions: []
+  };
+}
+
+// Convert a glob pattern (* and ?) to a regular expression
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+}
+
+// Check if a URL matches a glob or regex pattern (empty pattern matches everything)
+function matchesUrlPattern(url, pattern, patternType) {
+  if (!pattern) {
+    return true;
+  }
+
+  try {
+    const regex = patternType === 'regex' ? new RegExp(pattern) : globToRegExp(pattern);
+    return regex.test(url || '');
+  } catch (e) {
+    // Invalid pattern never matches
+    return false;
+  }
+}
+
+// Find a header value by name (case-insensitive), headers can be an array or object
+function findHeaderValue(headers, name) {
+  if (!headers || !name) {
+    return undefined;
+  }
+
+  const lowerName = name.toLowerCase();
+  const entries = Array.isArray(headers)
+    ? headers.map(h => [h.name, h.value])
+    : Object.entries(headers);
+
+  const entry = entries.find(([key]) => String(key).toLowerCase() === lowerName);
+  return entry ? String(entry[1]) : undefined;
+}
+
+// Check a request against a rule's match criteria
+// request: { url, method, resourceType, headers }
+function matchesRule(rule, request) {
+  const match = rule.match || {};
+
+  if (!matchesUrlPattern(request.url, match.url, match.urlType)) {
+    return false;
+  }
+
+  if (match.method && (request.method || '').toUpperCase() !== match.method.toUpperCase()) {
+    return false;
+  }
+
+  if (match.resourceType && (request.resourceType || '').toLowerCase() !== match.resourceType.toLowerCase()) {
+    return false;
+  }
+
+  if (match.headerName) {
+    const value = findHeaderValue(request.headers, match.headerName);
+    if (value === undefined) {
+      return false;
+    }
+    if (match.headerValue && !value.toLowerCase().includes(match.headerValue.toLowerCase())) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Find enabled rules for a stage that match the request, in list order
+function findMatchingRules(rules, request, stage) {
+  return (rules || []).filter(rule => {
+    return rule.enabled && (rule.stage || 'request') === stage && matchesRule(rule, request);
+  });
+}
+
+// Apply the actions of matching rules to a request
+// Returns null when no action took effect (no rule matched, or its faults lost the
+// probability roll), ruleNames lists the rules that changed something
+function applyRuleActions(matchingRules, request) {
+  if (!matchingRules.length) {
+    return null;
+  }
+
+  const result = {
+    url: request.url,
+    headers: (request.headers || []).map(h => ({ name: h.name, value: h.value })),
+    body: undefined,
+    blocked: false,
+    headersChanged: false,
+    delayMs: 0,
+    throttleKbps: 0,
+    ruleNames: []
+  };
+
+  for (const rule of matchingRules) {
+    let applied = false;
+    for (const action of rule.actions || []) {
+      switch (action.type) {
+        case 'rewriteUrl':
+          if (action.value) {
+            result.url = action.value;
+            applied = true;
+          }
+          break;
+
+        case 'setHeader':
+          if (action.name) {
+            const lowerName = action.name.toLowerCase();
+            result.headers = result.headers.filter(h => h.name.toLowerCase() !== lowerName);
+            result.headers.push({ name: action.name, value: action.value || '' });
+            result.headersChanged = true;
+            applied = true;
+          }
+          break;
+
+        case 'removeHeader':
+          if (action.name) {
+            const lowerName = action.name.toLowerCase();
+            result.headers = result.headers.filter(h => h.name.toLowerCase() !== lowerName);
+            result.headersChanged = true;
+            applied = true;
+          }
+          break;
+
+        case 'replaceBody':
+          result.body = action.value || '';
+          applied = true;
+          break;
+
+        case 'delay': {
+          // Delays of several rules add up
+          const delayMs = Math.max(parseInt(action.value) || 0, 0);
+          result.delayMs += delayMs;
+          applied = applied || delayMs > 0;
+          break;
+        }
+
+        case 'throttle': {
+          // The slowest speed limit wins
+          const kbps = parseFloat(action.value);
+          if (kbps > 0) {
+            result.throttleKbps = result.throttleKbps ? Math.min(result.throttleKbps, kbps) : kbps;
+            applied = true;
+          }
+          break;
+        }
+
+        case 'fail':
+          if (!result.errorResponse && rollFaultProbability(action.probability)) {
+            result.blocked = true;
+            result.errorReason = action.value || 'Failed';
+            applied = true;
+          }
+          break;
+
+        case 'errorResponse':
+          if (!result.blocked && rollFaultProbability(action.probability)) {
+            result.errorResponse = action.value || '500';
+            applied = true;
+          }
+          break;
+
+        case 'block':
+          result.blocked = true;
+          applied = true;
+          break;
+      }
+    }
+
+    if (applied) {
+      result.ruleNames.push(rule.name);
+    }
+
+    // Blocking or an injected fault ends the chain, later rules don't matter
+    if (result.blocked || result.errorResponse) {
+      break;
+    }
+  }
+
+  return result.ruleNames.length > 0 ? result : null;
+}
+
+// Time a body of the given size takes at a speed limit in KB/s (0 for no limit)
+function computeThrottleDelay(byteLength, kbps) {
+  return kbps > 0 ? Math.round(byteLength / (kbps * 1024) * 1000) : 0;
+}
+
+// Short human-readable summary of a rule for list display
+function describeRule(rule) {
+  const match = rule.match || {};
+  const parts = [];
+
+  parts.push(match.url ? `${match.urlType === 'regex' ? 'regex' : 'url'}: ${match.url}` : 'any URL');
+  if (match.method) parts.push(match.method);
+  if (match.resourceType) parts.push(match.resourceType);
+  if (match.headerName) parts.push(`header: ${match.headerName}`);
+
+  const actions = (rule.actions || []).map(a => {
+    if (a.type === 'delay') return `Delay ${a.value || 0} ms`;
+    if (a.type === 'throttle') return `Limit Speed ${a.value || 0} KB/s`;
+    if (a.type === 'fail' || a.type === 'errorResponse') {
+      const fault = a.type === 'fail' ? `Fail (${a.value || 'Failed'})` : `Respond ${a.value || '500'}`;
+      return a.probability !== undefined && a.probability !== '' ? `${fault} ${a.probability}%` : fault;
+    }
+    return RULE_ACTION_TYPES[a.type] || a.type;
+  });
+
+  return `${parts.join(', ')} → ${actions.length ? actions.join(', ') : 'no actions'}`;
+}
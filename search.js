@@ -0,0 +1,247 @@
+/**
+ * NetCepter Pro - Full-Text Search
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Search across URLs, request and response headers, request bodies, loaded response
+ * bodies and WebSocket frames, as plain text or a regular expression. Narrows the
+ * request list, highlights matching fields in the details view and steps through the
+ * hits. Uses the panel's `requests` map, `selectedRequestId`, `selectRequest`,
+ * `applyFilters` and `requestResponseBody`. Requires encoding.js and bulk-actions.js.
+ */
+
+// Search options, kept out of the persisted filters since they don't affect interception
+const searchOptions = {
+  query: '',
+  regex: false,
+  caseSensitive: false
+};
+
+// Hits in the details view: [{ field, start, end }] and the current one
+let searchHits = [];
+let searchHitIndex = -1;
+
+// Setup the search box and its option and navigation buttons
+function setupSearch() {
+  const input = document.getElementById('search-input');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    searchOptions.query = input.value;
+    onSearchChanged();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      gotoSearchHit(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape' && input.value) {
+      input.value = '';
+      searchOptions.query = '';
+      onSearchChanged();
+    }
+  });
+
+  document.querySelectorAll('.search-option').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const option = btn.dataset.option;
+      searchOptions[option] = !searchOptions[option];
+      btn.classList.toggle('active', searchOptions[option]);
+      btn.setAttribute('aria-pressed', String(searchOptions[option]));
+      onSearchChanged();
+    });
+  });
+
+  document.getElementById('search-prev-btn').addEventListener('click', () => gotoSearchHit(-1));
+  document.getElementById('search-next-btn').addEventListener('click', () => gotoSearchHit(1));
+
+  // F3 / Shift+F3 keep stepping once a hit has taken the focus
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'F3' && searchOptions.query) {
+      e.preventDefault();
+      gotoSearchHit(e.shiftKey ? -1 : 1);
+    }
+  });
+}
+
+// Re-filter the list and refresh the highlights after the query or an option changed
+function onSearchChanged() {
+  const input = document.getElementById('search-input');
+  input.classList.toggle('invalid', Boolean(searchOptions.query) && !buildSearchRegex());
+
+  loadSearchBodies();
+  applyFilters();
+  highlightSearchMatches();
+}
+
+// Compile the search into a regular expression (null without a query or when it's invalid)
+function buildSearchRegex(global) {
+  if (!searchOptions.query) {
+    return null;
+  }
+  const source = searchOptions.regex
+    ? searchOptions.query
+    : searchOptions.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flags = (global ? 'g' : '') + (searchOptions.caseSensitive ? '' : 'i');
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Check a request against the search (always true without a valid query)
+function matchesSearch(request) {
+  const regex = buildSearchRegex(false);
+  if (!regex) {
+    return true;
+  }
+  return getSearchableTexts(request).some(text => regex.test(text));
+}
+
+// Text of a request the search looks at
+function getSearchableTexts(request) {
+  const texts = [request.url];
+
+  Object.entries(request.headers || {}).forEach(([name, value]) => {
+    texts.push(`${name}: ${value}`);
+  });
+
+  if (request.postDataBase64 !== undefined || request.postData) {
+    texts.push(base64ToText(getRequestBodyBase64(request)) || '');
+  }
+
+  (request.responseHeaders || []).forEach(header => {
+    texts.push(`${header.name}: ${header.value}`);
+  });
+
+  if (request.responseBodyBase64 !== undefined) {
+    texts.push(base64ToText(request.responseBodyBase64) || '');
+  }
+
+  if (request.websocket) {
+    request.websocket.frames.forEach(frame => {
+      texts.push(frame.opcode === 2 ? base64ToText(frame.payload) || '' : frame.payload);
+    });
+  }
+
+  return texts;
+}
+
+// Fetch the response bodies that haven't been loaded yet so the search covers them
+// Each body is asked for once, matches show up as the bodies arrive
+function loadSearchBodies() {
+  if (!buildSearchRegex(false)) return;
+
+  requests.forEach(request => {
+    if (request.responseStatus && request.responseBodyBase64 === undefined && !request.responseBodyUnavailable
+      && !request.searchBodyRequested && isResponseBodyReady(request)) {
+      request.searchBodyRequested = true;
+      requestResponseBody(request);
+    }
+  });
+}
+
+// Mark the fields of the details view that contain the search and collect their hits
+function highlightSearchMatches() {
+  const detailsContent = document.getElementById('details-content');
+  const regex = buildSearchRegex(true);
+  searchHits = [];
+  searchHitIndex = -1;
+
+  detailsContent.querySelectorAll('input[type="text"], textarea').forEach(field => {
+    field.classList.remove('search-hit', 'search-hit-current');
+    if (!regex || field.id === 'ws-search') return;
+
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(field.value)) !== null) {
+      // Empty matches (like /^/) would never advance
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      searchHits.push({ field, start: match.index, end: match.index + match[0].length });
+      field.classList.add('search-hit');
+    }
+  });
+
+  updateSearchCount();
+}
+
+// Step to the next (1) or previous (-1) hit, moving on to the adjacent matching request
+// once the hits of the selected one are used up
+function gotoSearchHit(step) {
+  if (!buildSearchRegex(false)) return;
+
+  const nextIndex = searchHitIndex + step;
+  if (searchHits.length > 0 && nextIndex >= 0 && nextIndex < searchHits.length) {
+    showSearchHit(nextIndex);
+    return;
+  }
+
+  // The list is filtered by the search, so every visible entry matches
+  const ids = getVisibleRequestIds();
+  if (ids.length === 0) {
+    updateSearchCount();
+    return;
+  }
+  const current = ids.indexOf(selectedRequestId);
+  const target = current === -1
+    ? ids[step > 0 ? 0 : ids.length - 1]
+    : ids[(current + step + ids.length) % ids.length];
+
+  if (target !== selectedRequestId) {
+    // Selecting re-renders the details, which collects the new hits
+    selectRequest(target);
+  }
+  if (searchHits.length > 0) {
+    showSearchHit(step > 0 ? 0 : searchHits.length - 1);
+  }
+}
+
+// Bring a hit into view and select its text
+function showSearchHit(index) {
+  const previous = searchHits[searchHitIndex];
+  if (previous) {
+    previous.field.classList.remove('search-hit-current');
+  }
+
+  searchHitIndex = index;
+  const { field, start, end } = searchHits[index];
+
+  // Switch to the tab holding the field
+  const tab = field.closest('.tab-content');
+  if (tab && !tab.classList.contains('active')) {
+    document.querySelector(`.tab-btn[data-tab="${tab.dataset.tabContent}"]`)?.click();
+  }
+
+  // Disabled fields can't take the focus that shows a selection, read-only ones can
+  if (field.disabled) {
+    field.disabled = false;
+    field.readOnly = true;
+  }
+
+  field.classList.add('search-hit-current');
+  field.scrollIntoView({ block: 'nearest' });
+  field.focus({ preventScroll: true });
+  field.setSelectionRange(start, end);
+  updateSearchCount();
+}
+
+// Show the position in the hits, or how many requests match
+function updateSearchCount() {
+  const count = document.getElementById('search-count');
+  if (!count) return;
+
+  if (!buildSearchRegex(false)) {
+    count.textContent = '';
+  } else if (searchHitIndex >= 0) {
+    count.textContent = `${searchHitIndex + 1} of ${searchHits.length}`;
+  } else if (searchHits.length > 0) {
+    count.textContent = `${searchHits.length} ${searchHits.length === 1 ? 'hit' : 'hits'}`;
+  } else {
+    const matching = Array.from(requests.values()).filter(request => matchesFilters(request)).length;
+    count.textContent = `${matching} ${matching === 1 ? 'request' : 'requests'}`;
+  }
+}
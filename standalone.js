@@ -11,7 +11,13 @@ let port = null;
 let requests = new Map();
 let selectedRequestId = null;
 let interceptionEnabled = true;
-let selectedTabId = null;
+let autoAttachEnabled = false;
+let fixHeadersEnabled = true; // Background worker fixes Content-Length and co. for modified bodies
+let reconnectAttempts = 0; // Automatic reconnects since the last successful attach
+let selectedTabIds = [];
+let attachedTabIds = new Set();
+let tabInfo = new Map(); // Title and icon of known tabs by tab ID
+let tabFilter = '';
 let filters = {
   url: '',
   method: '',
@@ -23,23 +29,39 @@ document.addEventListener('DOMContentLoaded', () => {
   // Setup UI event listeners
   setupEventListeners();
   
+  // Setup multi-select and bulk actions
+  setupBulkActions();
+  
+  // Setup the "Fail with…" menu of paused requests
+  setupFaultMenu();
+  
+  // Setup full-text search over headers and bodies
+  setupSearch();
+  
+  // Setup the filter query with autocomplete and presets
+  setupFilterQuery();
+  
   // Restore settings from storage
   restoreSettings();
   
   // Show tab selector if no tab is selected
   showTabSelector();
+  
+  // Tick the pause timeout countdowns
+  setInterval(updatePauseCountdowns, 1000);
 });
 
-// Show tab selector
-function showTabSelector() {
+// Show tab selector (always when forced, otherwise only while no tab is selected)
+function showTabSelector(force = false) {
   const tabSelector = document.getElementById('tab-selector');
   const mainContent = document.querySelector('.main-content');
   const filters = document.querySelector('.filters');
   
-  if (!selectedTabId) {
+  if (force || selectedTabIds.length === 0) {
     tabSelector.style.display = 'flex';
     mainContent.style.display = 'none';
     filters.style.display = 'none';
+    document.getElementById('cancel-tabs-btn').style.display = selectedTabIds.length > 0 ? 'inline-flex' : 'none';
     loadTabs();
   } else {
     tabSelector.style.display = 'none';
@@ -48,47 +70,143 @@ function showTabSelector() {
   }
 }
 
-// Load available tabs
+// Load available tabs, grouped by window
 async function loadTabs() {
   try {
-    const tabs = await chrome.tabs.query({});
+    const ownUrl = chrome.runtime.getURL('standalone.html');
+    const tabs = (await chrome.tabs.query({})).filter(tab => !(tab.url || '').startsWith(ownUrl));
     const tabsList = document.getElementById('tabs-list');
     tabsList.innerHTML = '';
     
+    const windows = new Map();
     tabs.forEach(tab => {
-      const tabItem = document.createElement('div');
-      tabItem.className = 'tab-item';
-      tabItem.innerHTML = `
-        <div class="tab-item-icon">
-          ${tab.favIconUrl ? `<img src="${tab.favIconUrl}" alt="">` : '🌐'}
-        </div>
-        <div class="tab-item-info">
-          <div class="tab-item-title">${escapeHtml(tab.title || 'Untitled')}</div>
-          <div class="tab-item-url">${escapeHtml(tab.url || '')}</div>
-        </div>
+      tabInfo.set(tab.id, { title: tab.title || 'Untitled', favIconUrl: tab.favIconUrl });
+      if (!windows.has(tab.windowId)) {
+        windows.set(tab.windowId, []);
+      }
+      windows.get(tab.windowId).push(tab);
+    });
+    
+    let windowNumber = 0;
+    windows.forEach((windowTabs) => {
+      const group = document.createElement('div');
+      group.className = 'tab-window';
+      group.innerHTML = `
+        <label class="tab-window-header">
+          <input type="checkbox" class="tab-window-all">
+          Window ${++windowNumber}: all tabs in this window (${windowTabs.length})
+        </label>
       `;
       
-      tabItem.addEventListener('click', () => {
-        selectTab(tab.id);
+      windowTabs.forEach(tab => {
+        const tabItem = document.createElement('label');
+        tabItem.className = 'tab-item';
+        tabItem.innerHTML = `
+          <input type="checkbox" class="tab-checkbox" value="${tab.id}" ${selectedTabIds.includes(tab.id) ? 'checked' : ''}>
+          <div class="tab-item-icon">
+            ${tab.favIconUrl ? `<img src="${escapeHtml(tab.favIconUrl)}" alt="">` : '🌐'}
+          </div>
+          <div class="tab-item-info">
+            <div class="tab-item-title">${escapeHtml(tab.title || 'Untitled')}</div>
+            <div class="tab-item-url">${escapeHtml(tab.url || '')}</div>
+          </div>
+        `;
+        group.appendChild(tabItem);
+      });
+      
+      const allCheckbox = group.querySelector('.tab-window-all');
+      const tabCheckboxes = group.querySelectorAll('.tab-checkbox');
+      const syncAll = () => {
+        allCheckbox.checked = Array.from(tabCheckboxes).every(cb => cb.checked);
+      };
+      
+      allCheckbox.addEventListener('change', () => {
+        tabCheckboxes.forEach(cb => {
+          cb.checked = allCheckbox.checked;
+        });
       });
+      tabCheckboxes.forEach(cb => cb.addEventListener('change', syncAll));
+      syncAll();
       
-      tabsList.appendChild(tabItem);
+      tabsList.appendChild(group);
     });
   } catch (error) {
     console.error('Failed to load tabs:', error);
   }
 }
 
-// Select a tab
-function selectTab(tabId) {
-  selectedTabId = tabId;
+// Intercept the tabs checked in the tab selector
+function applyTabSelection() {
+  const tabIds = Array.from(document.querySelectorAll('#tabs-list .tab-checkbox:checked'))
+    .map(cb => parseInt(cb.value));
+  
+  if (tabIds.length === 0) {
+    showNotification('Select at least one tab', 'warning');
+    return;
+  }
+  
+  const added = tabIds.filter(tabId => !selectedTabIds.includes(tabId));
+  const removed = selectedTabIds.filter(tabId => !tabIds.includes(tabId));
+  selectedTabIds = tabIds;
+  
+  if (!port) {
+    connectToBackground();
+  } else {
+    removed.forEach(tabId => {
+      port.postMessage({ type: 'DETACH_DEBUGGER', tabId });
+      attachedTabIds.delete(tabId);
+    });
+    added.forEach(tabId => {
+      port.postMessage({ type: 'ATTACH_DEBUGGER', tabId });
+    });
+  }
+  
+  updateTabFilterOptions();
+  updateConnectionStatus();
   showTabSelector();
-  connectToBackground();
+}
+
+// Short label of a tab for the request list and the tab filter
+function getTabLabel(tabId) {
+  const info = tabInfo.get(tabId);
+  const title = info ? info.title : `Tab ${tabId}`;
+  return title.length > 30 ? title.slice(0, 29) + '…' : title;
+}
+
+// Fill the tab filter with the intercepted tabs
+function updateTabFilterOptions() {
+  const select = document.getElementById('tab-filter');
+  if (!tabFilter || !selectedTabIds.includes(parseInt(tabFilter))) {
+    tabFilter = '';
+  }
+  
+  select.innerHTML = '<option value="">All Tabs</option>';
+  selectedTabIds.forEach(tabId => {
+    const option = document.createElement('option');
+    option.value = tabId;
+    option.textContent = getTabLabel(tabId);
+    option.selected = String(tabId) === tabFilter;
+    select.appendChild(option);
+  });
+  
+  // The filter only helps with more than one tab
+  select.closest('.filter-group').style.display = selectedTabIds.length > 1 ? '' : 'none';
+}
+
+// Show how many of the selected tabs are attached
+function updateConnectionStatus() {
+  if (attachedTabIds.size === 0) {
+    updateStatus(port ? 'Connecting...' : 'Disconnected', 'inactive');
+  } else if (selectedTabIds.length === 1) {
+    updateStatus('Connected', 'connected');
+  } else {
+    updateStatus(`Connected to ${attachedTabIds.size}/${selectedTabIds.length} tabs`, 'connected');
+  }
 }
 
 // Connect to background script
 function connectToBackground() {
-  if (!selectedTabId) {
+  if (selectedTabIds.length === 0) {
     return;
   }
   
@@ -97,11 +215,35 @@ function connectToBackground() {
   port.onMessage.addListener((msg) => {
     switch (msg.type) {
       case 'DEBUGGER_ATTACHED':
-        updateStatus('Connected', 'connected');
+        reconnectAttempts = 0;
+        attachedTabIds.add(msg.tabId);
+        // Popups and new tabs followed from a selected tab join the selection
+        if (!selectedTabIds.includes(msg.tabId)) {
+          selectedTabIds.push(msg.tabId);
+          chrome.tabs.get(msg.tabId).then(tab => {
+            tabInfo.set(tab.id, { title: tab.title || tab.url || 'Popup', favIconUrl: tab.favIconUrl });
+            updateTabFilterOptions();
+          }).catch(() => {});
+          updateTabFilterOptions();
+        }
+        updateConnectionStatus();
+        syncInterception();
+        applyHarReplay(msg.tabId);
         break;
         
       case 'DEBUGGER_DETACHED':
-        updateStatus('Disconnected', 'error');
+        attachedTabIds.delete(msg.tabId);
+        // Closed and no longer followed tabs leave the selection, others are attached again on reconnect
+        if (msg.reason === 'target_closed' || msg.reason === 'opener_detached') {
+          selectedTabIds = selectedTabIds.filter(tabId => tabId !== msg.tabId);
+          updateTabFilterOptions();
+        }
+        if (attachedTabIds.size === 0) {
+          updateStatus('Disconnected', 'error');
+          updateHarReplayButton(0);
+        } else {
+          updateConnectionStatus();
+        }
         break;
         
       case 'DEBUGGER_ERROR':
@@ -121,6 +263,50 @@ function connectToBackground() {
         handleResponseBody(msg);
         break;
         
+      case 'RULE_APPLIED':
+        handleRuleApplied(msg);
+        break;
+        
+      case 'HEADERS_ADJUSTED':
+        handleHeadersAdjusted(msg);
+        break;
+        
+      case 'MOCK_SERVED':
+        handleMockServed(msg);
+        break;
+        
+      case 'REPLAY_RESULT':
+        handleReplayResult(msg);
+        break;
+        
+      case 'NETWORK_LIFECYCLE':
+        handleNetworkLifecycle(msg);
+        break;
+        
+      case 'REQUESTS_RELEASED':
+        handleRequestsReleased(msg);
+        break;
+        
+      case 'SESSION_STATE':
+        handleSessionState(msg);
+        break;
+        
+      case 'PAUSE_TIMED_OUT':
+        handlePauseTimedOut(msg);
+        break;
+        
+      case 'AUTH_REQUIRED':
+        handleAuthRequired(msg);
+        break;
+        
+      case 'AUTH_HANDLED':
+        handleAuthHandled(msg);
+        break;
+        
+      case 'WEBSOCKET_EVENT':
+        handleWebSocketEvent(msg);
+        break;
+        
       case 'RESPONSE_BODY_ERROR':
         console.error('Failed to get response body:', msg.error);
         break;
@@ -128,19 +314,43 @@ function connectToBackground() {
   });
   
   port.onDisconnect.addListener(() => {
-    updateStatus('Disconnected', 'inactive');
+    port = null;
+    attachedTabIds.clear();
+    scheduleReconnect();
   });
   
-  // Attach debugger to selected tab
-  port.postMessage({ type: 'ATTACH_DEBUGGER', tabId: selectedTabId });
+  // Attach debugger to the selected tabs
+  selectedTabIds.forEach(tabId => {
+    port.postMessage({ type: 'ATTACH_DEBUGGER', tabId });
+  });
+  updateConnectionStatus();
+}
+
+// Reconnect after the port dropped without a detach, which happens when Chrome suspends
+// the background worker. Connecting wakes it up, and it sends back the requests still paused
+function scheduleReconnect() {
+  if (reconnectAttempts >= 5) {
+    updateStatus('Disconnected', 'inactive');
+    return;
+  }
+  
+  reconnectAttempts++;
+  updateStatus('Reconnecting...', 'inactive');
+  setTimeout(() => {
+    try {
+      connectToBackground();
+    } catch (error) {
+      // Extension reloaded or removed, this page can't reach it anymore
+      updateStatus('Disconnected', 'inactive');
+    }
+  }, 500 * reconnectAttempts);
 }
 
 // Setup event listeners
 function setupEventListeners() {
-  // Select tab button
+  // Select tabs button
   document.getElementById('select-tab-btn').addEventListener('click', () => {
-    selectedTabId = null;
-    showTabSelector();
+    showTabSelector(true);
   });
   
   // Refresh tabs button
@@ -148,31 +358,102 @@ function setupEventListeners() {
     loadTabs();
   });
   
+  // Start intercepting the checked tabs
+  document.getElementById('apply-tabs-btn').addEventListener('click', () => {
+    applyTabSelection();
+  });
+  
+  // Go back to the list without changing the selection
+  document.getElementById('cancel-tabs-btn').addEventListener('click', () => {
+    showTabSelector();
+  });
+  
+  // Tab filter (view only, all selected tabs keep pausing)
+  document.getElementById('tab-filter').addEventListener('change', (e) => {
+    tabFilter = e.target.value;
+    applyFilters();
+  });
+  
   // Clear button
   document.getElementById('clear-btn').addEventListener('click', () => {
     clearRequests();
   });
   
+  // Rules button
+  document.getElementById('rules-btn').addEventListener('click', () => {
+    openRulesEditor();
+  });
+  
+  // Mocks button
+  document.getElementById('mocks-btn').addEventListener('click', () => {
+    openMockLibrary();
+  });
+  
+  // Breakpoints button
+  document.getElementById('breakpoints-btn').addEventListener('click', () => {
+    openBreakpointsEditor();
+  });
+  
+  // Stored credentials button
+  document.getElementById('credentials-btn').addEventListener('click', () => {
+    openAuthRulesEditor();
+  });
+  
+  // Export HAR button
+  document.getElementById('export-har-btn').addEventListener('click', () => {
+    exportHar();
+  });
+  
+  // Import HAR button
+  document.getElementById('import-har-btn').addEventListener('click', () => {
+    openHarImport();
+  });
+  
+  // Stop HAR replay button
+  document.getElementById('har-replay-btn').addEventListener('click', () => {
+    stopHarReplay();
+  });
+  
   // Intercept toggle
   document.getElementById('intercept-toggle').addEventListener('change', (e) => {
     interceptionEnabled = e.target.checked;
     saveSettings();
+    syncInterception();
+  });
+  
+  // Auto-attach toggle
+  document.getElementById('auto-attach-toggle').addEventListener('change', (e) => {
+    autoAttachEnabled = e.target.checked;
+    saveSettings();
+    syncInterception();
+  });
+  
+  // Fix headers toggle, read by the background worker from storage
+  document.getElementById('fix-headers-toggle').addEventListener('change', (e) => {
+    fixHeadersEnabled = e.target.checked;
+    saveSettings();
   });
   
   // Filters
   document.getElementById('url-filter').addEventListener('input', (e) => {
     filters.url = e.target.value.toLowerCase();
     applyFilters();
+    saveSettings();
+    syncInterception();
   });
   
   document.getElementById('method-filter').addEventListener('change', (e) => {
     filters.method = e.target.value;
     applyFilters();
+    saveSettings();
+    syncInterception();
   });
   
   document.getElementById('type-filter').addEventListener('change', (e) => {
     filters.type = e.target.value;
     applyFilters();
+    saveSettings();
+    syncInterception();
   });
   
   // Close details button
@@ -201,28 +482,27 @@ function setupEventListeners() {
 
 // Handle intercepted request
 function handleRequestIntercepted(data) {
-  if (!interceptionEnabled) {
-    port.postMessage({
-      type: 'CONTINUE_REQUEST',
-      requestId: data.requestId
-    });
-    return;
-  }
-  
   const request = {
     id: data.requestId,
+    tabId: data.tabId,
+    sessionId: data.sessionId,
+    source: data.source,
     networkId: data.networkId,
     url: data.url,
     method: data.method,
     headers: data.headers,
     postData: data.postData,
+    postDataBase64: data.postDataBase64,
     resourceType: data.resourceType || 'other',
     timestamp: data.timestamp,
     status: 'paused',
     type: 'request',
-    isPaused: true
+    isPaused: true,
+    breakpoint: data.breakpoint,
+    pauseTimeout: data.pauseTimeout
   };
   
+  registerNetworkEntry(request);
   requests.set(data.requestId, request);
   addRequestToList(request);
   updateRequestCount();
@@ -230,14 +510,6 @@ function handleRequestIntercepted(data) {
 
 // Handle intercepted response
 function handleResponseIntercepted(data) {
-  if (!interceptionEnabled) {
-    port.postMessage({
-      type: 'CONTINUE_RESPONSE',
-      requestId: data.requestId
-    });
-    return;
-  }
-  
   const request = requests.get(data.requestId);
   
   if (request) {
@@ -248,11 +520,16 @@ function handleResponseIntercepted(data) {
     request.resourceType = data.resourceType || request.resourceType || 'other';
     request.type = 'response';
     request.isPaused = true;
+    request.breakpoint = data.breakpoint;
+    request.pauseTimeout = data.pauseTimeout;
     
     updateRequestInList(request);
   } else {
     const newRequest = {
       id: data.requestId,
+      tabId: data.tabId,
+      sessionId: data.sessionId,
+      source: data.source,
       networkId: data.networkId,
       url: data.url,
       method: data.method,
@@ -263,9 +540,12 @@ function handleResponseIntercepted(data) {
       responseStatusText: data.statusText,
       responseHeaders: data.headers,
       type: 'response',
-      isPaused: true
+      isPaused: true,
+      breakpoint: data.breakpoint,
+      pauseTimeout: data.pauseTimeout
     };
     
+    registerNetworkEntry(newRequest);
     requests.set(data.requestId, newRequest);
     addRequestToList(newRequest);
   }
@@ -273,22 +553,111 @@ function handleResponseIntercepted(data) {
   updateRequestCount();
 }
 
+// Handle request/response handled automatically by a rule
+function handleRuleApplied(data) {
+  const existing = requests.get(data.requestId);
+  const request = existing || {
+    id: data.requestId,
+    tabId: data.tabId,
+    sessionId: data.sessionId,
+    source: data.source,
+    networkId: data.networkId,
+    url: data.url,
+    method: data.method,
+    headers: data.headers,
+    postData: data.postData,
+    postDataBase64: data.postDataBase64,
+    resourceType: data.resourceType || 'other',
+    timestamp: data.timestamp
+  };
+  
+  request.type = data.stage;
+  request.isPaused = false;
+  request.status = data.blocked ? (data.fault ? 'failed' : 'blocked') : 'modified';
+  request.fault = data.fault;
+  request.appliedRules = (request.appliedRules || []).concat(data.ruleNames);
+  if (data.heldMs) {
+    request.ruleDelayMs = (request.ruleDelayMs || 0) + data.heldMs;
+  }
+  
+  if (data.stage === 'response' || data.responseBodyBase64 !== undefined) {
+    request.responseStatus = data.status;
+    request.responseStatusText = data.statusText;
+    request.responseHeaders = data.responseHeaders;
+  }
+  if (data.responseBodyBase64 !== undefined) {
+    request.responseBodyBase64 = data.responseBodyBase64;
+  }
+  
+  if (existing) {
+    updateRequestInList(request);
+    if (selectedRequestId === request.id) {
+      displayRequestDetails(request);
+    }
+  } else {
+    registerNetworkEntry(request);
+    requests.set(data.requestId, request);
+    addRequestToList(request);
+  }
+  
+  updateRequestCount();
+}
+
+// Handle headers the background worker fixed up to match a modified body
+function handleHeadersAdjusted(data) {
+  const request = requests.get(data.requestId);
+  if (!request) return;
+  
+  request.headerAdjustments = data.adjustments;
+  showNotification(`Adjusted ${data.adjustments.length === 1 ? '1 header' : `${data.adjustments.length} headers`} to match the body`, 'info');
+  
+  if (selectedRequestId === request.id) {
+    displayRequestDetails(request);
+  }
+}
+
+// Handle request answered by a mock
+function handleMockServed(data) {
+  const request = {
+    id: data.requestId,
+    tabId: data.tabId,
+    sessionId: data.sessionId,
+    source: data.source,
+    networkId: data.networkId,
+    url: data.url,
+    method: data.method,
+    headers: data.headers,
+    postData: data.postData,
+    postDataBase64: data.postDataBase64,
+    resourceType: data.resourceType || 'other',
+    timestamp: data.timestamp,
+    status: 'mocked',
+    type: 'response',
+    isPaused: false,
+    mockName: data.mockName,
+    responseStatus: data.status,
+    responseStatusText: data.statusText,
+    responseHeaders: data.responseHeaders,
+    responseBodyBase64: data.responseBodyBase64
+  };
+  
+  registerNetworkEntry(request);
+  requests.set(data.requestId, request);
+  addRequestToList(request);
+  updateRequestCount();
+}
+
 // Handle response body
 function handleResponseBody(data) {
   const request = requests.get(data.requestId);
   if (request) {
     if (data.notAvailable) {
-      request.responseBody = '(Response body not available)';
-    } else if (data.body) {
-      try {
-        request.responseBody = data.base64Encoded ? atob(data.body) : data.body;
-      } catch (e) {
-        console.error('Failed to decode response body:', e);
-        request.responseBody = '(Failed to decode response body)';
-      }
+      request.responseBodyUnavailable = true;
     } else {
-      request.responseBody = '';
+      // Keep the raw bytes, text bodies are encoded so every body is base64
+      request.responseBodyBase64 = data.base64Encoded ? data.body || '' : textToBase64(data.body);
     }
+    updateRequestInList(request);
     
     if (selectedRequestId === data.requestId) {
       displayRequestDetails(request);
@@ -305,12 +674,16 @@ function addRequestToList(request) {
     emptyState.style.display = 'none';
   }
   
-  if (!matchesFilters(request)) {
+  if (!matchesFilters(request, false)) {
     return;
   }
   
   const item = createRequestItem(request);
+  if (!matchesSearch(request)) {
+    item.style.display = 'none';
+  }
   requestList.insertBefore(item, requestList.firstChild);
+  updateBulkActions();
 }
 
 // Create request item element
@@ -323,7 +696,7 @@ function createRequestItem(request) {
     item.classList.add('paused');
   }
   
-  if (selectedRequestId === request.id) {
+  if (selectedRequestId === request.id || selectedRequestIds.has(request.id)) {
     item.classList.add('selected');
   }
   
@@ -347,6 +720,31 @@ function createRequestItem(request) {
   
   meta.appendChild(time);
   
+  // Tab column when several tabs are intercepted
+  if (request.tabId && selectedTabIds.length > 1) {
+    const tab = document.createElement('span');
+    tab.className = 'request-tab';
+    tab.textContent = getTabLabel(request.tabId);
+    tab.title = tabInfo.has(request.tabId) ? tabInfo.get(request.tabId).title : '';
+    meta.appendChild(tab);
+  }
+  
+  // Where traffic of followed popups, frames and workers came from
+  if (request.source) {
+    const source = document.createElement('span');
+    source.className = 'request-source';
+    source.textContent = request.source;
+    meta.appendChild(source);
+  }
+  
+  // Auth challenges are entries of their own
+  if (request.type === 'auth') {
+    const auth = document.createElement('span');
+    auth.className = 'request-auth';
+    auth.textContent = `${request.authChallenge.scheme} auth`;
+    meta.appendChild(auth);
+  }
+  
   if (request.resourceType) {
     const type = document.createElement('span');
     type.textContent = request.resourceType.charAt(0).toUpperCase() + request.resourceType.slice(1);
@@ -365,14 +763,14 @@ function createRequestItem(request) {
   
   const statusIndicator = document.createElement('span');
   statusIndicator.className = `request-status ${request.status}`;
-  statusIndicator.textContent = request.isPaused ? 'PAUSED' : request.status.toUpperCase();
+  statusIndicator.textContent = request.isPaused ? formatPausedLabel(request) : request.status.toUpperCase();
   
   item.appendChild(method);
   item.appendChild(info);
   item.appendChild(statusIndicator);
   
-  item.addEventListener('click', () => {
-    selectRequest(request.id);
+  item.addEventListener('click', (e) => {
+    handleRequestItemClick(e, request.id);
   });
   
   return item;
@@ -382,13 +780,21 @@ function createRequestItem(request) {
 function updateRequestInList(request) {
   const item = document.querySelector(`[data-request-id="${request.id}"]`);
   if (item) {
-    item.replaceWith(createRequestItem(request));
+    const updated = createRequestItem(request);
+    // New data can change whether the search still matches
+    if (!matchesFilters(request)) {
+      updated.style.display = 'none';
+    }
+    item.replaceWith(updated);
   }
+  updateBulkActions();
 }
 
 // Select request
 function selectRequest(requestId) {
   selectedRequestId = requestId;
+  selectedRequestIds = new Set([requestId]);
+  selectionAnchorId = requestId;
   
   document.querySelectorAll('.request-item').forEach(item => {
     item.classList.remove('selected');
@@ -403,11 +809,14 @@ function selectRequest(requestId) {
   if (request) {
     displayRequestDetails(request);
   }
+  updateBulkActions();
 }
 
 // Deselect request
 function deselectRequest() {
   selectedRequestId = null;
+  selectedRequestIds.clear();
+  selectionAnchorId = null;
   
   document.querySelectorAll('.request-item').forEach(item => {
     item.classList.remove('selected');
@@ -429,6 +838,8 @@ function deselectRequest() {
   `;
   
   document.getElementById('action-buttons').style.display = 'none';
+  highlightSearchMatches();
+  updateBulkActions();
 }
 
 // Display request details
@@ -439,6 +850,21 @@ function displayRequestDetails(request) {
   
   detailsContainer.classList.add('show');
   
+  // Auth challenges have no request or response to edit
+  if (request.type === 'auth') {
+    detailsContent.dataset.requestId = request.id;
+    displayAuthDetails(request);
+    highlightSearchMatches();
+    return;
+  }
+  
+  // Keep the open tab when the same request is re-rendered with new data,
+  // WebSocket connections open on their frames
+  const activeTab = detailsContent.dataset.requestId === request.id
+    ? detailsContent.querySelector('.tab-btn.active')?.dataset.tab
+    : request.websocket ? 'messages' : null;
+  detailsContent.dataset.requestId = request.id;
+  
   let html = '';
   
   // Tabs
@@ -447,11 +873,100 @@ function displayRequestDetails(request) {
   if (request.responseStatus) {
     html += '<button class="tab-btn" data-tab="response">Response</button>';
   }
+  if (request.lifecycle) {
+    html += '<button class="tab-btn" data-tab="timing">Timing</button>';
+  }
+  if (request.websocket) {
+    html += '<button class="tab-btn" data-tab="messages">Messages</button>';
+  }
   html += '</div>';
   
   // Request tab
   html += '<div class="tab-content active" data-tab-content="request">';
   
+  if (request.appliedRules && request.appliedRules.length > 0) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Applied Rules</div>';
+    html += `<div class="detail-note">${escapeHtml(request.appliedRules.join(', '))}</div>`;
+    if (request.ruleDelayMs) {
+      html += `<div class="detail-note">Held back ${formatDuration(request.ruleDelayMs)} by delay and speed limit actions</div>`;
+    }
+    html += '</div>';
+  }
+  
+  if (request.headerAdjustments && request.headerAdjustments.length > 0) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Adjusted Headers</div>';
+    request.headerAdjustments.forEach(adjustment => {
+      html += `<div class="detail-note">${escapeHtml(adjustment)}</div>`;
+    });
+    html += '</div>';
+  }
+  
+  if (request.fault) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Injected Fault</div>';
+    html += `<div class="detail-note">${escapeHtml(request.fault)}</div>`;
+    html += '</div>';
+  }
+  
+  if (request.breakpoint && request.isPaused) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Paused by Breakpoint</div>';
+    html += `<div class="detail-note">${escapeHtml(request.breakpoint)}</div>`;
+    html += '</div>';
+  }
+  
+  if (request.pauseTimeout && request.isPaused) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Pause Timeout</div>';
+    html += `<div class="detail-note">${PAUSE_TIMEOUT_ACTIONS[request.pauseTimeout.action]} automatically at ${new Date(request.pauseTimeout.at).toLocaleTimeString()}</div>`;
+    html += '</div>';
+  }
+  
+  if (request.timedOut) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Timed Out</div>';
+    html += `<div class="detail-note">${escapeHtml(describeTimedOut(request))}</div>`;
+    html += '</div>';
+  }
+  
+  if (request.source) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Source</div>';
+    html += `<div class="detail-note">${escapeHtml(request.source)}</div>`;
+    html += '</div>';
+  }
+  
+  if (request.mockName) {
+    html += '<div class="detail-section">';
+    html += '<div class="detail-section-title">Served by Mock</div>';
+    html += `<div class="detail-note">${escapeHtml(request.mockName)}</div>`;
+    html += '</div>';
+  }
+  
+  if (request.replayOf) {
+    const original = requests.get(request.replayOf);
+    html += '<div class="detail-section">';
+    html += `<div class="detail-section-title">Replay (from ${request.replayContext === 'extension' ? 'extension' : 'page'})</div>`;
+    html += '<div class="detail-note">Replay of ';
+    html += original
+      ? `<button class="link-btn" id="replay-of-link">${escapeHtml(original.method)} ${escapeHtml(original.url)}</button>`
+      : 'a cleared entry';
+    html += '</div>';
+    if (request.replayError) {
+      html += `<div class="detail-note error-note">${escapeHtml(request.replayError)}</div>`;
+    }
+    html += '</div>';
+  }
+  
+  html += '<div class="detail-section detail-actions">';
+  if (!request.isPaused && request.status !== 'pending') {
+    html += '<button class="btn btn-secondary" id="replay-btn" title="Resend this request, optionally with edits">Replay</button>';
+  }
+  html += createCopyMenuHtml();
+  html += '</div>';
+  
   // URL
   html += '<div class="detail-section">';
   html += '<div class="detail-field">';
@@ -491,10 +1006,8 @@ function displayRequestDetails(request) {
   // Body
   if (request.postData || request.method !== 'GET') {
     html += '<div class="detail-section">';
-    html += '<div class="detail-field">';
-    html += '<label>Request Body</label>';
-    html += `<textarea id="edit-body" ${!request.isPaused ? 'disabled' : ''}>${escapeHtml(request.postData || '')}</textarea>`;
-    html += '</div>';
+    html += createBodyEditorHtml('edit-body', 'Request Body', getRequestBodyBase64(request),
+      findHeaderValue(request.headers, 'Content-Type'), !request.isPaused);
     html += '</div>';
   }
   
@@ -531,38 +1044,87 @@ function displayRequestDetails(request) {
     
     // Response Body
     html += '<div class="detail-section">';
-    html += '<div class="detail-field">';
-    html += '<label>Response Body</label>';
-    html += `<textarea id="edit-response-body" ${!request.isPaused ? 'disabled' : ''}>${escapeHtml(request.responseBody || 'Loading...')}</textarea>`;
+    html += createBodyEditorHtml('edit-response-body', 'Response Body', request.responseBodyBase64,
+      findHeaderValue(request.responseHeaders, 'Content-Type'), !request.isPaused,
+      request.responseBodyUnavailable ? '(Response body not available)' : 'Loading...');
     html += '</div>';
+    
+    html += '<div class="detail-section">';
+    html += '<button class="btn btn-secondary" id="save-mock-btn" title="Serve this response locally for matching requests">Save as Mock</button>';
     html += '</div>';
     
     html += '</div>';
     
     // Fetch response body if not loaded
-    if (!request.responseBody && request.isPaused) {
-      port.postMessage({
-        type: 'GET_RESPONSE_BODY',
-        tabId: selectedTabId,
-        requestId: request.id
-      });
+    if (request.responseBodyBase64 === undefined && !request.responseBodyUnavailable && isResponseBodyReady(request)) {
+      requestResponseBody(request);
     }
   }
   
+  // Timing tab
+  if (request.lifecycle) {
+    html += '<div class="tab-content" data-tab-content="timing">';
+    html += createTimingTabHtml(request);
+    html += '</div>';
+  }
+  
+  // Messages tab
+  if (request.websocket) {
+    html += '<div class="tab-content" data-tab-content="messages">';
+    html += createWebSocketTabHtml(request);
+    html += '</div>';
+  }
+  
   detailsContent.innerHTML = html;
   
   // Setup tab switching
   setupTabs();
+  if (activeTab) {
+    detailsContent.querySelector(`.tab-btn[data-tab="${activeTab}"]`)?.click();
+  }
   
   // Setup header editor event listeners
   setupHeaderEditors();
   
+  // Setup text/hex toggles of the body editors
+  setupBodyEditors(detailsContent);
+  
+  if (request.websocket) {
+    setupWebSocketTab(request);
+  }
+  
+  setupCopyMenu(request);
+  
+  const replayBtn = document.getElementById('replay-btn');
+  if (replayBtn) {
+    replayBtn.addEventListener('click', () => {
+      openReplayDialog(request);
+    });
+  }
+  
+  const replayOfLink = document.getElementById('replay-of-link');
+  if (replayOfLink) {
+    replayOfLink.addEventListener('click', () => {
+      selectRequest(request.replayOf);
+    });
+  }
+  
+  const saveMockBtn = document.getElementById('save-mock-btn');
+  if (saveMockBtn) {
+    saveMockBtn.addEventListener('click', () => {
+      saveResponseAsMock(request);
+    });
+  }
+  
   // Show/hide action buttons
   if (request.isPaused) {
     actionButtons.style.display = 'flex';
   } else {
     actionButtons.style.display = 'none';
   }
+  
+  // Mark the fields containing the search
+  highlightSearchMatches();
 }
 
 // Create header row HTML
@@ -609,6 +1171,27 @@ function setupHeaderEditors() {
   });
 }
 
+// Get the ID of the tab being intercepted
+function getInspectedTabId() {
+  return selectedTabIds[0];
+}
+
+// Get the IDs of all tabs being intercepted
+function getInspectedTabIds() {
+  return selectedTabIds.slice();
+}
+
+// Ask the background worker for a response body
+function requestResponseBody(request) {
+  port.postMessage({
+    type: 'GET_RESPONSE_BODY',
+    tabId: request.tabId || getInspectedTabId(),
+    requestId: request.id,
+    networkId: request.networkId,
+    sessionId: request.sessionId
+  });
+}
+
 // Setup tabs
 function setupTabs() {
   const tabBtns = document.querySelectorAll('.tab-btn');
@@ -640,6 +1223,7 @@ function continueRequest(withModifications) {
   if (request.type === 'request') {
     const message = {
       type: 'CONTINUE_REQUEST',
+      tabId: request.tabId,
       requestId: request.id
     };
     
@@ -659,8 +1243,24 @@ function continueRequest(withModifications) {
         hasModifications = true;
       }
       
-      // Get headers from editor
-      const headers = getHeadersFromEditor('request-headers-editor');
+      let body;
+      try {
+        body = readBodyEditor('edit-body');
+      } catch (e) {
+        showNotification(e.message, 'error');
+        return;
+      }
+      const bodyChanged = body !== undefined && body !== getRequestBodyBase64(request);
+      if (bodyChanged) {
+        modifications.postDataBase64 = body;
+        hasModifications = true;
+      }
+      
+      // Get headers from editor, a body rebuilt from the form gets a matching Content-Length (and boundary)
+      let headers = getHeadersFromEditor('request-headers-editor');
+      if (bodyChanged && isFormBodyEdited('edit-body')) {
+        headers = fixFormBodyHeaders(headers, body, getBodyEditorContentType('edit-body'));
+      }
       // Compare with original headers to see if they changed
       const originalHeaders = request.headers || {};
       const originalHeadersArray = Object.entries(originalHeaders)
@@ -685,16 +1285,10 @@ function continueRequest(withModifications) {
         }
       }
       
-      const body = document.getElementById('edit-body')?.value;
-      const originalBody = request.postData || '';
-      if (body !== undefined && body !== originalBody) {
-        modifications.postData = body;
-        hasModifications = true;
-      }
-      
       // Only send modifications if there are actual changes
       if (hasModifications && Object.keys(modifications).length > 0) {
         message.modifications = modifications;
+        request.modified = true;
       }
       // If no modifications, continue without modifications object
     }
@@ -704,6 +1298,7 @@ function continueRequest(withModifications) {
   } else if (request.type === 'response') {
     const message = {
       type: 'CONTINUE_RESPONSE',
+      tabId: request.tabId,
       requestId: request.id
     };
     
@@ -715,20 +1310,29 @@ function continueRequest(withModifications) {
         modifications.responseCode = parseInt(status);
       }
       
-      const headers = getHeadersFromEditor('response-headers-editor');
-      if (headers && Object.keys(headers).length > 0) {
-        modifications.responseHeaders = Object.entries(headers).map(([name, value]) => ({ name, value }));
+      let body;
+      try {
+        body = readBodyEditor('edit-response-body');
+      } catch (e) {
+        showNotification(e.message, 'error');
+        return;
+      }
+      // Only send the body when it was edited, the background keeps the original bytes otherwise
+      const bodyChanged = body !== undefined && body !== request.responseBodyBase64;
+      if (bodyChanged) {
+        modifications.bodyBase64 = body;
       }
       
-      const body = document.getElementById('edit-response-body')?.value;
-      if (body !== undefined && 
-          body !== 'Loading...' && 
-          body !== '(Response body not available)' &&
-          body !== '(Failed to decode response body)') {
-        modifications.body = body;
+      let headers = getHeadersFromEditor('response-headers-editor');
+      if (bodyChanged && isFormBodyEdited('edit-response-body')) {
+        headers = fixFormBodyHeaders(headers, body, getBodyEditorContentType('edit-response-body'));
+      }
+      if (headers && Object.keys(headers).length > 0) {
+        modifications.responseHeaders = Object.entries(headers).map(([name, value]) => ({ name, value }));
       }
       
       message.modifications = modifications;
+      request.modified = Object.keys(modifications).length > 0;
     }
     
     port.postMessage(message);
@@ -747,6 +1351,7 @@ function blockRequest() {
   
   port.postMessage({
     type: 'BLOCK_REQUEST',
+    tabId: request.tabId,
     requestId: request.id
   });
   
@@ -756,6 +1361,77 @@ function blockRequest() {
   displayRequestDetails(request);
 }
 
+// Stop showing requests as paused once the background worker released them
+// (their tab was detached or closed, or their frame went away)
+function handleRequestsReleased(data) {
+  data.requestIds.forEach(requestId => {
+    const request = requests.get(requestId);
+    if (!request || !request.isPaused) return;
+    
+    request.isPaused = false;
+    request.status = data.resolution === 'failed' ? 'failed' : 'completed';
+    updateRequestInList(request);
+    
+    if (selectedRequestId === requestId) {
+      displayRequestDetails(request);
+    }
+  });
+}
+
+// Rebuild the paused requests of a tab from the background worker after reconnecting
+// Entries still paused here are kept as they are, with any unsaved edits in the details
+function handleSessionState(data) {
+  const pausedIds = new Set(data.paused.map(msg => msg.requestId));
+  
+  // Requests the worker no longer holds can't be continued anymore
+  const lost = [];
+  requests.forEach(request => {
+    if (request.isPaused && request.tabId === data.tabId && !pausedIds.has(request.id)) {
+      lost.push(request.id);
+    }
+  });
+  handleRequestsReleased({ requestIds: lost, resolution: 'failed' });
+  
+  data.paused.forEach(msg => {
+    const existing = requests.get(msg.requestId);
+    if (existing && existing.isPaused) return;
+    
+    if (msg.type === 'RESPONSE_INTERCEPTED') {
+      handleResponseIntercepted(msg);
+    } else if (msg.type === 'AUTH_REQUIRED') {
+      handleAuthRequired(msg);
+    } else {
+      handleRequestIntercepted(msg);
+    }
+  });
+}
+
+// Show how the background worker resolved a request nobody acted on before its pause timeout
+function handlePauseTimedOut(data) {
+  const request = requests.get(data.requestId);
+  if (!request || !request.isPaused) return;
+  
+  request.isPaused = false;
+  request.timedOut = data.action;
+  if (data.action === 'block') {
+    request.status = 'blocked';
+  } else if (data.action === 'mock') {
+    request.status = 'mocked';
+    request.mockName = data.mockName;
+    request.responseStatus = data.status;
+    request.responseStatusText = data.statusText;
+    request.responseHeaders = data.responseHeaders;
+    request.responseBodyBase64 = data.responseBodyBase64;
+  } else {
+    request.status = 'completed';
+  }
+  updateRequestInList(request);
+  
+  if (selectedRequestId === request.id) {
+    displayRequestDetails(request);
+  }
+}
+
 // Get headers from editor
 function getHeadersFromEditor(editorId) {
   const editor = document.getElementById(editorId);
@@ -779,7 +1455,10 @@ function getHeadersFromEditor(editorId) {
 
 function clearRequests() {
   requests.clear();
+  networkIndex.clear();
   selectedRequestId = null;
+  selectedRequestIds.clear();
+  selectionAnchorId = null;
   
   const requestList = document.getElementById('request-list');
   requestList.innerHTML = `
@@ -805,7 +1484,9 @@ function clearRequests() {
   `;
   
   document.getElementById('action-buttons').style.display = 'none';
+  highlightSearchMatches();
   updateRequestCount();
+  updateBulkActions();
 }
 
 function applyFilters() {
@@ -830,9 +1511,15 @@ function applyFilters() {
   if (emptyState) {
     emptyState.style.display = visibleCount === 0 ? 'flex' : 'none';
   }
+  updateBulkActions();
 }
 
-function matchesFilters(request) {
+// Entries only hidden by the search are kept in the list, pass includeSearch false to skip it
+function matchesFilters(request, includeSearch = true) {
+  if (tabFilter && String(request.tabId) !== tabFilter) {
+    return false;
+  }
+  
   if (filters.url && !request.url.toLowerCase().includes(filters.url)) {
     return false;
   }
@@ -850,6 +1537,16 @@ function matchesFilters(request) {
     }
   }
   
+  // Query language terms (status:, domain:, is:, ...)
+  if (!matchesFilterQuery(request)) {
+    return false;
+  }
+  
+  // Full-text search over headers and bodies
+  if (includeSearch && !matchesSearch(request)) {
+    return false;
+  }
+  
   return true;
 }
 
@@ -885,6 +1582,7 @@ function reconnectDebugger() {
       // Port already disconnected
     }
   }
+  attachedTabIds.clear();
   
   requests.clear();
   selectedRequestId = null;
@@ -901,31 +1599,84 @@ function reconnectDebugger() {
 }
 
 function showNotification(message, type = 'info') {
+  // Log errors and warnings for debugging
   if (type === 'error' || type === 'warning') {
     console.error(`[${type.toUpperCase()}] ${message}`);
   }
+  
+  let container = document.getElementById('notifications');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'notifications';
+    container.className = 'notifications';
+    document.body.appendChild(container);
+  }
+  
+  const notification = document.createElement('div');
+  notification.className = `notification ${type}`;
+  notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  notification.textContent = message;
+  notification.title = 'Click to dismiss';
+  notification.addEventListener('click', () => notification.remove());
+  container.appendChild(notification);
+  
+  // Errors stay a little longer, there's usually something to fix
+  setTimeout(() => notification.remove(), type === 'error' ? 8000 : 4000);
+}
+
+// Send interception settings to the background worker, which decides what gets paused
+function syncInterception() {
+  if (!port) return;
+  
+  try {
+    selectedTabIds.forEach(tabId => {
+      port.postMessage({
+        type: 'SET_INTERCEPTION',
+        tabId: tabId,
+        enabled: interceptionEnabled,
+        autoAttach: autoAttachEnabled,
+        filters: filters
+      });
+    });
+  } catch (e) {
+    // Port disconnected, settings are sent again on reconnect
+  }
 }
 
 function saveSettings() {
   chrome.storage.local.set({
     interceptionEnabled: interceptionEnabled,
+    autoAttachEnabled: autoAttachEnabled,
+    fixHeadersEnabled: fixHeadersEnabled,
     filters: filters
   });
 }
 
 function restoreSettings() {
-  chrome.storage.local.get(['interceptionEnabled', 'filters'], (result) => {
+  chrome.storage.local.get(['interceptionEnabled', 'autoAttachEnabled', 'fixHeadersEnabled', 'filters'], (result) => {
     if (result.interceptionEnabled !== undefined) {
       interceptionEnabled = result.interceptionEnabled;
       document.getElementById('intercept-toggle').checked = interceptionEnabled;
     }
     
+    if (result.autoAttachEnabled !== undefined) {
+      autoAttachEnabled = result.autoAttachEnabled;
+      document.getElementById('auto-attach-toggle').checked = autoAttachEnabled;
+    }
+    
+    if (result.fixHeadersEnabled !== undefined) {
+      fixHeadersEnabled = result.fixHeadersEnabled;
+      document.getElementById('fix-headers-toggle').checked = fixHeadersEnabled;
+    }
+    
     if (result.filters) {
       filters = result.filters;
       document.getElementById('url-filter').value = filters.url || '';
       document.getElementById('method-filter').value = filters.method || '';
       document.getElementById('type-filter').value = filters.type || '';
     }
+    
+    syncInterception();
   });
 }
 
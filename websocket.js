@@ -0,0 +1,317 @@
+/**
+ * NetCepter Pro - WebSocket Frames
+ *
+ * © Copyright 2025 | Chandira Ekanayaka | https://iamchandira.com
+ *
+ * Lists WebSocket connections (Network domain events forwarded by the background
+ * worker) with a timeline of their frames: direction, opcode, size, time and payload,
+ * JSON pretty-printed, with search across frames. Uses the panel's `requests` map,
+ * `selectedRequestId`, list helpers and `displayRequestDetails`.
+ * Requires encoding.js and body-editor.js.
+ */
+
+const WEBSOCKET_OPCODES = {
+  0: 'Continuation',
+  1: 'Text',
+  2: 'Binary',
+  8: 'Close',
+  9: 'Ping',
+  10: 'Pong'
+};
+
+// Frames kept per connection, the oldest are dropped beyond this
+const WEBSOCKET_MAX_FRAMES = 2000;
+
+// Handle a WebSocket event forwarded by the background worker
+function handleWebSocketEvent(data) {
+  const { method, params } = data;
+  let request = requests.get(params.requestId);
+
+  if (!request) {
+    // Connections opened before the debugger was attached can't be shown from the start
+    if (method !== 'Network.webSocketCreated' && method !== 'Network.webSocketWillSendHandshakeRequest') {
+      return;
+    }
+    request = {
+      id: params.requestId,
+      type: 'websocket',
+      tabId: data.tabId,
+      sessionId: data.sessionId,
+      source: data.source,
+      url: params.url || '',
+      method: 'GET',
+      headers: {},
+      resourceType: 'WebSocket',
+      timestamp: Date.now(),
+      status: 'pending',
+      isPaused: false,
+      // The handshake response has no body to load
+      responseBodyUnavailable: true,
+      websocket: { frames: [], nextSeq: 0, sent: 0, received: 0, search: '' }
+    };
+    requests.set(request.id, request);
+    addRequestToList(request);
+    updateRequestCount();
+  }
+
+  const ws = request.websocket;
+  let frame = null;
+
+  switch (method) {
+    case 'Network.webSocketCreated':
+      request.url = params.url;
+      break;
+
+    case 'Network.webSocketWillSendHandshakeRequest':
+      // Frame timestamps are monotonic, the handshake ties them to wall-clock time
+      ws.clockOffset = params.wallTime - params.timestamp;
+      request.timestamp = params.wallTime * 1000;
+      request.headers = params.request.headers || {};
+      break;
+
+    case 'Network.webSocketHandshakeResponseReceived':
+      request.status = 'open';
+      request.responseStatus = params.response.status;
+      request.responseStatusText = params.response.statusText;
+      request.responseHeaders = Object.entries(params.response.headers || {})
+        .map(([name, value]) => ({ name, value: String(value) }));
+      break;
+
+    case 'Network.webSocketFrameSent':
+    case 'Network.webSocketFrameReceived':
+    case 'Network.webSocketFrameError':
+      frame = addWebSocketFrame(request, method, params);
+      break;
+
+    case 'Network.webSocketClosed':
+      request.status = 'closed';
+      ws.closedAt = getWebSocketTime(ws, params.timestamp);
+      break;
+  }
+
+  updateRequestInList(request);
+
+  if (selectedRequestId !== request.id) {
+    return;
+  }
+  // New frames are appended to the open timeline, keeping its scroll position and expanded frames
+  if (frame && document.getElementById('ws-frames')?.dataset.requestId === request.id) {
+    appendWebSocketFrameRow(request, frame);
+    updateWebSocketSummary(request);
+  } else {
+    displayRequestDetails(request);
+  }
+}
+
+// Record a frame of a connection
+function addWebSocketFrame(request, method, params) {
+  const ws = request.websocket;
+  const frame = {
+    seq: ws.nextSeq++,
+    time: getWebSocketTime(ws, params.timestamp)
+  };
+
+  if (method === 'Network.webSocketFrameError') {
+    frame.direction = 'error';
+    frame.opcode = -1;
+    frame.payload = params.errorMessage;
+    frame.size = 0;
+  } else {
+    const { opcode, payloadData } = params.response;
+    frame.direction = method === 'Network.webSocketFrameSent' ? 'sent' : 'received';
+    frame.opcode = opcode;
+    // Binary payloads come base64-encoded
+    frame.payload = payloadData || '';
+    frame.size = opcode === 2 ? base64ByteLength(frame.payload) : new TextEncoder().encode(frame.payload).length;
+    ws[frame.direction]++;
+  }
+
+  ws.frames.push(frame);
+  if (ws.frames.length > WEBSOCKET_MAX_FRAMES) {
+    ws.frames.shift();
+    ws.dropped = (ws.dropped || 0) + 1;
+  }
+  return frame;
+}
+
+// Convert a monotonic event timestamp (seconds) to epoch milliseconds
+function getWebSocketTime(ws, timestamp) {
+  return ws.clockOffset !== undefined ? (timestamp + ws.clockOffset) * 1000 : Date.now();
+}
+
+// Create HTML for the Messages tab
+function createWebSocketTabHtml(request) {
+  const ws = request.websocket;
+  let html = '';
+
+  html += '<div class="detail-section">';
+  html += '<div class="detail-section-title">Connection</div>';
+  html += `<div class="detail-note" id="ws-summary">${escapeHtml(describeWebSocket(request))}</div>`;
+  html += '</div>';
+
+  html += '<div class="detail-section">';
+  html += '<div class="ws-toolbar">';
+  html += `<input type="text" class="filter-input" id="ws-search" placeholder="Search frames..." value="${escapeHtml(ws.search)}">`;
+  html += '<span class="ws-count" id="ws-count"></span>';
+  html += '</div>';
+  html += `<div class="ws-frames" id="ws-frames" data-request-id="${escapeHtml(request.id)}">`;
+  ws.frames.forEach(frame => {
+    html += createWebSocketFrameHtml(frame);
+  });
+  html += '</div>';
+  html += '</div>';
+
+  return html;
+}
+
+// Short summary of a connection's state and traffic
+function describeWebSocket(request) {
+  const ws = request.websocket;
+  const state = { pending: 'Connecting', open: 'Open', closed: 'Closed' }[request.status] || request.status;
+  let text = `${state}, ${ws.sent} sent, ${ws.received} received`;
+  if (ws.closedAt) {
+    text += `, closed at ${formatWebSocketTime(ws.closedAt)}`;
+  }
+  if (ws.dropped) {
+    text += ` (oldest ${ws.dropped} frames dropped)`;
+  }
+  return text;
+}
+
+// Create HTML for a frame row
+function createWebSocketFrameHtml(frame) {
+  const arrow = { sent: '↑', received: '↓', error: '✕' }[frame.direction];
+  const opcode = frame.direction === 'error' ? 'Error' : WEBSOCKET_OPCODES[frame.opcode] || `Opcode ${frame.opcode}`;
+  const preview = frame.opcode === 2 ? `Binary, ${formatBytes(frame.size)}` : frame.payload.slice(0, 200);
+
+  return `
+    <div class="ws-frame ${frame.direction}" data-seq="${frame.seq}">
+      <span class="ws-frame-direction" title="${frame.direction}">${arrow}</span>
+      <span class="ws-frame-opcode">${opcode}</span>
+      <span class="ws-frame-preview">${escapeHtml(preview)}</span>
+      <span class="ws-frame-size">${frame.direction === 'error' ? '' : formatBytes(frame.size)}</span>
+      <span class="ws-frame-time">${formatWebSocketTime(frame.time)}</span>
+    </div>
+  `;
+}
+
+// Format a frame time with milliseconds
+function formatWebSocketTime(time) {
+  const date = new Date(time);
+  return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+// Setup search and frame expansion of the Messages tab
+function setupWebSocketTab(request) {
+  const list = document.getElementById('ws-frames');
+  const search = document.getElementById('ws-search');
+  if (!list || !search) return;
+
+  search.addEventListener('input', () => {
+    request.websocket.search = search.value;
+    filterWebSocketFrames(request);
+  });
+
+  list.addEventListener('click', (e) => {
+    const row = e.target.closest('.ws-frame');
+    if (row) {
+      toggleWebSocketFrame(request, row);
+    }
+  });
+
+  filterWebSocketFrames(request);
+}
+
+// Append a frame that arrived while its connection is shown
+function appendWebSocketFrameRow(request, frame) {
+  const list = document.getElementById('ws-frames');
+  const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = createWebSocketFrameHtml(frame);
+  const row = wrapper.firstElementChild;
+  row.style.display = matchesWebSocketSearch(frame, request.websocket.search) ? '' : 'none';
+  list.appendChild(row);
+
+  // Drop rows of frames that no longer exist, with their expanded payloads
+  const oldest = request.websocket.frames[0].seq;
+  let first = list.firstElementChild;
+  while (first && (first.classList.contains('ws-frame-payload') || Number(first.dataset.seq) < oldest)) {
+    first.remove();
+    first = list.firstElementChild;
+  }
+
+  if (atBottom) {
+    list.scrollTop = list.scrollHeight;
+  }
+  updateWebSocketCount(request);
+}
+
+// Refresh the connection summary while its Messages tab is open
+function updateWebSocketSummary(request) {
+  const summary = document.getElementById('ws-summary');
+  if (summary) {
+    summary.textContent = describeWebSocket(request);
+  }
+}
+
+// Show only the frames containing the search text
+function filterWebSocketFrames(request) {
+  const frames = new Map(request.websocket.frames.map(frame => [frame.seq, frame]));
+  document.querySelectorAll('#ws-frames .ws-frame').forEach(row => {
+    const frame = frames.get(Number(row.dataset.seq));
+    row.style.display = frame && matchesWebSocketSearch(frame, request.websocket.search) ? '' : 'none';
+  });
+  updateWebSocketCount(request);
+}
+
+// Check a frame's payload against the search text (case-insensitive)
+function matchesWebSocketSearch(frame, search) {
+  if (!search) {
+    return true;
+  }
+  const payload = frame.opcode === 2 ? base64ToText(frame.payload) || '' : frame.payload;
+  return payload.toLowerCase().includes(search.toLowerCase());
+}
+
+// Show how many frames match the search
+function updateWebSocketCount(request) {
+  const count = document.getElementById('ws-count');
+  if (!count) return;
+
+  const frames = request.websocket.frames;
+  const search = request.websocket.search;
+  count.textContent = search
+    ? `${frames.filter(frame => matchesWebSocketSearch(frame, search)).length} of ${frames.length} frames`
+    : `${frames.length} frames`;
+}
+
+// Expand or collapse the full payload of a frame
+function toggleWebSocketFrame(request, row) {
+  const next = row.nextElementSibling;
+  if (next && next.classList.contains('ws-frame-payload')) {
+    next.remove();
+    row.classList.remove('expanded');
+    return;
+  }
+
+  const frame = request.websocket.frames.find(f => f.seq === Number(row.dataset.seq));
+  if (!frame) return;
+
+  const payload = document.createElement('pre');
+  payload.className = 'ws-frame-payload';
+  payload.textContent = formatWebSocketPayload(frame);
+  row.after(payload);
+  row.classList.add('expanded');
+}
+
+// Full payload for display: JSON pretty-printed, binary as a hex dump
+function formatWebSocketPayload(frame) {
+  if (frame.opcode === 2) {
+    return bytesToHexDump(base64ToBytes(frame.payload));
+  }
+  try {
+    return JSON.stringify(JSON.parse(frame.payload), null, 2);
+  } catch (e) {
+    return frame.payload;
+  }
+}